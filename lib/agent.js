@@ -0,0 +1,244 @@
+/**
+ * HTTP agents of `RaiClient`, built from its `transport` option: kept-alive
+ * connections, TLS settings and proxies. Requests made through HTTP(S)
+ * proxies use CONNECT tunnels, so the node sees the same requests whatever
+ * the proxy.
+ */
+
+const net = require("net");
+const tls = require("tls");
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+const { basic } = require("./transport-common");
+
+/**
+ * Transport options passed through to `tls.connect()`.
+ */
+const TLS_OPTIONS = [
+  "ca",
+  "cert",
+  "key",
+  "pfx",
+  "passphrase",
+  "rejectUnauthorized",
+  "servername"
+];
+
+const SOCKS_PROTOCOLS = ["socks:", "socks5:", "socks5h:"];
+
+/**
+ * @function readBytes
+ * @description Wait for the next `size` bytes of a socket.
+ * @param {net.Socket} socket - A socket, not flowing.
+ * @param {Number} size - How many bytes to read.
+ * @return {Promise<Buffer>}
+ */
+function readBytes(socket, size) {
+  return new Promise((resolve, reject) => {
+    const onReadable = () => {
+      const data = socket.read(size);
+      if (data !== null) {
+        cleanup();
+        resolve(data);
+      }
+    };
+    const onEnd = () => {
+      cleanup();
+      reject(new Error("SOCKS proxy closed the connection"));
+    };
+    const cleanup = () => {
+      socket.removeListener("readable", onReadable);
+      socket.removeListener("end", onEnd);
+    };
+    socket.on("readable", onReadable);
+    socket.on("end", onEnd);
+    onReadable();
+  });
+}
+
+/**
+ * @function socksAddress
+ * @description Encode a host as a SOCKS5 address: IPv4, or a name resolved
+ *              by the proxy.
+ * @param {string} host - An IP or host name.
+ * @return {Buffer}
+ */
+function socksAddress(host) {
+  if (net.isIPv4(host)) {
+    return Buffer.from([1].concat(host.split(".").map(Number)));
+  }
+  const name = Buffer.from(host.replace(/^\[|\]$/g, ""));
+  return Buffer.concat([Buffer.from([3, name.length]), name]);
+}
+
+/**
+ * @function connectSocks
+ * @description Open a connection to host:port through a SOCKS5 proxy, with
+ *              username/password authentication when the proxy URL has
+ *              credentials.
+ * @param {URL} proxy - The proxy URL.
+ * @param {string} host - The target host.
+ * @param {Number} port - The target port.
+ * @return {Promise<net.Socket>}
+ */
+function connectSocks(proxy, host, port) {
+  const socket = net.connect(Number(proxy.port) || 1080, proxy.hostname);
+  const username = Buffer.from(decodeURIComponent(proxy.username));
+  const password = Buffer.from(decodeURIComponent(proxy.password));
+
+  const handshake = async () => {
+    socket.write(Buffer.from(username.length ? [5, 2, 0, 2] : [5, 1, 0]));
+    const [, method] = await readBytes(socket, 2);
+    if (method === 2) {
+      socket.write(
+        Buffer.concat([
+          Buffer.from([1, username.length]),
+          username,
+          Buffer.from([password.length]),
+          password
+        ])
+      );
+      const [, status] = await readBytes(socket, 2);
+      if (status !== 0) {
+        throw new Error("SOCKS proxy authentication failed");
+      }
+    } else if (method !== 0) {
+      throw new Error("SOCKS proxy refused the authentication methods");
+    }
+
+    const target = Buffer.alloc(2);
+    target.writeUInt16BE(Number(port));
+    socket.write(
+      Buffer.concat([Buffer.from([5, 1, 0]), socksAddress(host), target])
+    );
+    const reply = await readBytes(socket, 4);
+    if (reply[1] !== 0) {
+      throw new Error("SOCKS proxy connection failed, reply " + reply[1]);
+    }
+    // Skip the address the proxy bound, and its port.
+    const length =
+      reply[3] === 1
+        ? 4
+        : reply[3] === 4
+        ? 16
+        : (await readBytes(socket, 1))[0];
+    await readBytes(socket, length + 2);
+    return socket;
+  };
+
+  return new Promise((resolve, reject) => {
+    socket.once("error", reject);
+    socket.once("connect", () =>
+      handshake().then(
+        () => {
+          socket.removeListener("error", reject);
+          resolve(socket);
+        },
+        err => {
+          socket.destroy();
+          reject(err);
+        }
+      )
+    );
+  });
+}
+
+/**
+ * @function connectHttp
+ * @description Open a tunnel to host:port through an HTTP(S) proxy, with
+ *              basic authentication when the proxy URL has credentials.
+ * @param {URL} proxy - The proxy URL.
+ * @param {string} host - The target host.
+ * @param {Number} port - The target port.
+ * @param {Object} options - The TLS options, for HTTPS proxies.
+ * @return {Promise<net.Socket>}
+ */
+function connectHttp(proxy, host, port, options) {
+  const secure = proxy.protocol === "https:";
+  const headers = { host: host + ":" + port };
+  if (proxy.username) {
+    headers["proxy-authorization"] = basic(
+      decodeURIComponent(proxy.username),
+      decodeURIComponent(proxy.password)
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (secure ? https : http).request(
+      Object.assign(secure ? pick(options, TLS_OPTIONS) : {}, {
+        hostname: proxy.hostname,
+        port: proxy.port || (secure ? 443 : 80),
+        method: "CONNECT",
+        path: host + ":" + port,
+        headers,
+        agent: false
+      })
+    );
+    request.once("connect", (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        return reject(
+          new Error("Proxy refused the tunnel: " + response.statusCode)
+        );
+      }
+      resolve(socket);
+    });
+    request.once("error", reject);
+    request.end();
+  });
+}
+
+function pick(options, names) {
+  const result = {};
+  names.forEach(name => {
+    if (options[name] !== undefined) {
+      result[name] = options[name];
+    }
+  });
+  return result;
+}
+
+/**
+ * @function createAgent
+ * @description Build the agent of the node requests of a protocol.
+ * @param {string} protocol - "http:" or "https:".
+ * @param {Object} options - The `transport` option, see `RaiClient`.
+ * @return {http.Agent}
+ */
+function createAgent(protocol, options = {}) {
+  const secure = protocol === "https:";
+  const Agent = secure ? https.Agent : http.Agent;
+  const agent = new Agent(
+    Object.assign(secure ? pick(options, TLS_OPTIONS) : {}, {
+      keepAlive: options.keepAlive !== false,
+      maxSockets: options.maxSockets || Infinity
+    })
+  );
+  if (!options.proxy) {
+    return agent;
+  }
+
+  const proxy = new URL(options.proxy);
+  const socks = SOCKS_PROTOCOLS.indexOf(proxy.protocol) !== -1;
+  if (!socks && proxy.protocol !== "http:" && proxy.protocol !== "https:") {
+    throw new Error("Unsupported proxy protocol: " + proxy.protocol);
+  }
+  const connect = socks
+    ? (host, port) => connectSocks(proxy, host, port)
+    : (host, port) => connectHttp(proxy, host, port, options);
+
+  agent.createConnection = (connection, callback) => {
+    connect(connection.host, connection.port).then(socket => {
+      callback(
+        null,
+        secure ? tls.connect(Object.assign({}, connection, { socket })) : socket
+      );
+    }, callback);
+  };
+  return agent;
+}
+
+module.exports = {
+  createAgent
+};
@@ -0,0 +1,280 @@
+/**
+ * Request batching for `RaiClient`: calls to the actions below made within
+ * the same window are merged into a single bulk request, whose result is
+ * split back into each call's response.
+ */
+
+const errors = require("./errors");
+
+function pick(entries, keys, required) {
+  const result = {};
+  for (const key of keys) {
+    if (entries[key] !== undefined) {
+      result[key] = entries[key];
+    } else if (required) {
+      return undefined;
+    }
+  }
+  return result;
+}
+
+/**
+ * Ids of the functions found in call options, like an `idempotent`
+ * predicate, so that the calls sharing one share their bulk requests.
+ */
+const functionIds = new WeakMap();
+let nextFunctionId = 0;
+
+function optionsKey(callOptions) {
+  return JSON.stringify(callOptions, (name, value) => {
+    if (typeof value !== "function") {
+      return value;
+    }
+    if (!functionIds.has(value)) {
+      functionIds.set(value, "function " + nextFunctionId++);
+    }
+    return functionIds.get(value);
+  });
+}
+
+/**
+ * Batched actions: the bulk action they are sent as, the name of its list
+ * parameter and of its result, the other bulk parameters a call needs (calls
+ * only share a request when those are equal), the items of a call, how its
+ * response is built back from the bulk result entries, undefined meaning an
+ * item is missing, and the error of a missing item.
+ */
+const BATCHABLE = {
+  account_balance: {
+    bulk: "accounts_balances",
+    list: "accounts",
+    result: "balances",
+    items: params => [params.account],
+    unpack: (entries, params) => entries[params.account],
+    missing: "Account not found"
+  },
+  accounts_balances: {
+    bulk: "accounts_balances",
+    list: "accounts",
+    result: "balances",
+    items: params => params.accounts,
+    unpack: (entries, params) => {
+      const balances = pick(entries, params.accounts, true);
+      return balances && { balances };
+    },
+    missing: "Account not found"
+  },
+  accounts_frontiers: {
+    bulk: "accounts_frontiers",
+    list: "accounts",
+    result: "frontiers",
+    items: params => params.accounts,
+    // Like the node, accounts without a frontier are left out.
+    unpack: (entries, params) => ({
+      frontiers: pick(entries, params.accounts, false)
+    })
+  },
+  block: {
+    bulk: "blocks",
+    list: "hashes",
+    result: "blocks",
+    items: params => [params.hash],
+    unpack: (entries, params) =>
+      entries[params.hash] && { contents: entries[params.hash] },
+    missing: "Block not found"
+  },
+  blocks: {
+    bulk: "blocks",
+    list: "hashes",
+    result: "blocks",
+    items: params => params.hashes,
+    unpack: (entries, params) => {
+      const blocks = pick(entries, params.hashes, true);
+      return blocks && { blocks };
+    },
+    missing: "Block not found"
+  },
+  blocks_info: {
+    bulk: "blocks_info",
+    list: "hashes",
+    result: "blocks",
+    group: params => ({
+      source: params.source === true,
+      pending: params.pending === true
+    }),
+    items: params => params.hashes,
+    unpack: (entries, params) => {
+      const blocks = pick(entries, params.hashes, true);
+      return blocks && { blocks };
+    },
+    missing: "Block not found"
+  },
+  block_account: {
+    bulk: "blocks_info",
+    list: "hashes",
+    result: "blocks",
+    group: () => ({ source: false, pending: false }),
+    items: params => [params.hash],
+    unpack: (entries, params) =>
+      entries[params.hash] && { account: entries[params.hash].block_account },
+    missing: "Block not found"
+  }
+};
+
+/**
+ * @class Batcher
+ * @description Collects the calls of a client into bulk requests.
+ */
+class Batcher {
+  /*
+   * @function constructor
+   * @param {Object} options - Optional settings:
+   *   - {Number} window: How long calls are collected, in milliseconds. Default
+   *     to 0: the calls made in the same tick of the event loop.
+   *   - {Number} maxSize: A bulk request is sent as soon as it has that many
+   *     items. Default to 1000.
+   * @param {RaiClient} client - Sends the bulk requests, without batching.
+   */
+  constructor(options, client) {
+    this.window = options.window || 0;
+    this.maxSize = options.maxSize || 1000;
+    this.client = client;
+    this.groups = new Map();
+  }
+
+  /**
+   * @function handles
+   * @param {string} action - A given RPC action.
+   * @return {boolean} Whether calls to action are batched.
+   */
+  handles(action) {
+    return BATCHABLE.hasOwnProperty(action);
+  }
+
+  /**
+   * @function add
+   * @description Queue a call into the bulk request of its kind.
+   * @param {string} action - A batched RPC action.
+   * @param {Object} params - Its parameters.
+   * @param {Object} callOptions - The timeout and retry settings of the
+   *                               call: only calls with the same ones share
+   *                               a bulk request, sent with them.
+   * @return {Promise} Settled with the response of this call alone.
+   */
+  add(action, params, callOptions = {}) {
+    const spec = BATCHABLE[action];
+    const bulkParams = spec.group ? spec.group(params) : {};
+    const key =
+      spec.bulk + JSON.stringify(bulkParams) + optionsKey(callOptions);
+
+    let group = this.groups.get(key);
+    if (!group) {
+      group = {
+        spec,
+        params: bulkParams,
+        callOptions,
+        items: new Set(),
+        calls: []
+      };
+      this.groups.set(key, group);
+      group.cancel = this._schedule(() => this._flush(key, group));
+    }
+
+    return new Promise((resolve, reject) => {
+      group.calls.push({ action, params, resolve, reject });
+      spec.items(params).forEach(item => group.items.add(item));
+      if (group.items.size >= this.maxSize) {
+        this._flush(key, group);
+      }
+    });
+  }
+
+  _schedule(flush) {
+    // Browsers have no setImmediate().
+    if (this.window > 0 || typeof setImmediate !== "function") {
+      const timer = setTimeout(flush, this.window);
+      return () => clearTimeout(timer);
+    }
+    const immediate = setImmediate(flush);
+    return () => clearImmediate(immediate);
+  }
+
+  _flush(key, group) {
+    if (this.groups.get(key) !== group) {
+      return;
+    }
+    this.groups.delete(key);
+    group.cancel();
+
+    const { spec } = group;
+    const params = Object.assign({}, group.params, {
+      [spec.list]: Array.from(group.items)
+    });
+
+    this.client
+      .withOptions(group.callOptions)
+      ._send(spec.bulk, params)
+      .then(
+        res => {
+          const data = typeof res === "string" ? JSON.parse(res) : res;
+          if (data.error !== undefined) {
+            // Resolved because of `resolveErrors`.
+            return this._fallback(group);
+          }
+          group.calls.forEach(call => this._settle(call, data[spec.result]));
+        },
+        err => {
+          if (err instanceof errors.RpcError && !errors.isTransient(err)) {
+            return this._fallback(group);
+          }
+          throw err;
+        }
+      )
+      .catch(err => group.calls.forEach(call => call.reject(err)));
+  }
+
+  _settle(call, entries) {
+    const spec = BATCHABLE[call.action];
+    let data = spec.unpack(entries || {}, call.params);
+    if (data === undefined) {
+      data = { error: spec.missing };
+      if (!this.client.resolveErrors) {
+        return call.reject(errors.fromResponse(call.action, call.params, data));
+      }
+    }
+    call.resolve(this.client.deserializeJSON ? data : JSON.stringify(data));
+  }
+
+  /**
+   * When the node rejects a bulk request, like `blocks` does for a single
+   * unknown hash, each call is sent on its own so that only the faulty ones
+   * fail.
+   */
+  _fallback(group) {
+    group.calls.forEach(call =>
+      this.client
+        .withOptions(group.callOptions)
+        ._send(call.action, call.params)
+        .then(call.resolve, call.reject)
+    );
+  }
+}
+
+/**
+ * @function createBatcher
+ * @description Build the batcher of a client from its `batch` option.
+ * @param {boolean|Object} option - `true` for the defaults, or settings.
+ * @param {RaiClient} client - Sends the bulk requests, without batching.
+ * @return {Batcher|null} The batcher, or null when `option` is empty.
+ */
+function createBatcher(option, client) {
+  if (!option) {
+    return null;
+  }
+  return new Batcher(option === true ? {} : option, client);
+}
+
+module.exports = {
+  Batcher,
+  createBatcher
+};
@@ -0,0 +1,262 @@
+const { blake2b } = require("blakejs");
+const nacl = require("tweetnacl-blake2b");
+const keys = require("./keys");
+const units = require("./units");
+const { createWorkProvider } = require("./work");
+const { fromHex, toHex, concat } = require("./bytes");
+
+/**
+ * Local block construction, hashing and signing. The private key never
+ * leaves the process: build and sign offline, then publish the result with
+ * `RaiClient.process()`.
+ */
+
+const HEX64_REGEX = /^[0-9A-Fa-f]{64}$/;
+const WORK_REGEX = /^[0-9A-Fa-f]{16}$/;
+const ZERO_HASH = "0".repeat(64);
+
+/**
+ * Fields of each block type, in the order the node serializes them.
+ */
+const FIELDS = {
+  open: ["source", "representative", "account"],
+  send: ["previous", "destination", "balance"],
+  receive: ["previous", "source"],
+  change: ["previous", "representative"],
+  state: [
+    "account",
+    "previous",
+    "representative",
+    "balance",
+    "link",
+    "link_as_account"
+  ]
+};
+
+function hashBytes(value, name) {
+  if (typeof value !== "string" || !HEX64_REGEX.test(value)) {
+    throw new Error("Invalid block " + name + ": " + value);
+  }
+  return fromHex(value);
+}
+
+function accountBytes(value, name) {
+  try {
+    return fromHex(keys.decodeAccount(value));
+  } catch (e) {
+    throw new Error("Invalid block " + name + ": " + value);
+  }
+}
+
+function balanceBytes(value, hex) {
+  const raw = hex ? BigInt("0x" + value) : BigInt(units.raw(value));
+  return fromHex(raw.toString(16).padStart(32, "0"));
+}
+
+/**
+ * @function hash
+ * @description Compute the hash of a block, the way the node does.
+ * @param {Object|string} block - The block contents, as returned by
+ *                                `block` or accepted by `process`.
+ * @return {string} The block hash.
+ */
+function hash(block) {
+  const contents = typeof block === "string" ? JSON.parse(block) : block;
+
+  let parts;
+  switch (contents.type) {
+    case "open":
+      parts = [
+        hashBytes(contents.source, "source"),
+        accountBytes(contents.representative, "representative"),
+        accountBytes(contents.account, "account")
+      ];
+      break;
+    case "send":
+      parts = [
+        hashBytes(contents.previous, "previous"),
+        accountBytes(contents.destination, "destination"),
+        balanceBytes(contents.balance, true)
+      ];
+      break;
+    case "receive":
+      parts = [
+        hashBytes(contents.previous, "previous"),
+        hashBytes(contents.source, "source")
+      ];
+      break;
+    case "change":
+      parts = [
+        hashBytes(contents.previous, "previous"),
+        accountBytes(contents.representative, "representative")
+      ];
+      break;
+    case "state": {
+      const preamble = new Uint8Array(32);
+      preamble[31] = 6;
+      parts = [
+        preamble,
+        accountBytes(contents.account, "account"),
+        hashBytes(contents.previous, "previous"),
+        accountBytes(contents.representative, "representative"),
+        balanceBytes(contents.balance, false),
+        hashBytes(contents.link, "link")
+      ];
+      break;
+    }
+    default:
+      throw new Error("Invalid block type: " + contents.type);
+  }
+
+  return toHex(blake2b(concat(parts), null, 32));
+}
+
+/**
+ * @function sign
+ * @description Sign a block hash with a private key.
+ * @param {string} blockHash - The block hash.
+ * @param {string} privateKey - An XRB private key.
+ * @return {string} The 128 hex characters signature.
+ */
+function sign(blockHash, privateKey) {
+  const secret = nacl.sign.keyPair.fromSeed(
+    hashBytes(privateKey, "private key")
+  ).secretKey;
+  return toHex(nacl.sign.detached(hashBytes(blockHash, "hash"), secret));
+}
+
+/**
+ * @function verify
+ * @description Check the signature of a block hash.
+ * @param {string} blockHash - The block hash.
+ * @param {string} signature - The signature.
+ * @param {string} account - The signing account address, or its public key.
+ * @return {boolean}
+ */
+function verify(blockHash, signature, account) {
+  const publicKey = HEX64_REGEX.test(account)
+    ? account
+    : keys.decodeAccount(account);
+  if (!/^[0-9A-Fa-f]{128}$/.test(signature)) {
+    return false;
+  }
+  return nacl.sign.detached.verify(
+    hashBytes(blockHash, "hash"),
+    fromHex(signature),
+    fromHex(publicKey)
+  );
+}
+
+/**
+ * @function root
+ * @description The root of a block, which its work is computed for.
+ * @param {Object} contents - The block contents.
+ * @return {string} Its previous hash, or its account public key when it
+ *                  opens the account.
+ */
+function root(contents) {
+  if (contents.previous && contents.previous !== ZERO_HASH) {
+    return contents.previous;
+  }
+  return keys.decodeAccount(contents.account);
+}
+
+/**
+ * @function contents
+ * @description Fill and normalize the fields of a block, without signing it.
+ * @param {string} type - One of "open", "send", "receive", "change" or "state".
+ * @param {Object} fields - The block fields. `account` defaults to the one of
+ *                          `privateKey`, amounts accept anything `units.raw()`
+ *                          does and `link` accepts an account.
+ * @param {string} privateKey - The signing key, used to find the account.
+ * @return {Object}
+ */
+function contents(type, fields, privateKey) {
+  if (!FIELDS[type]) {
+    throw new Error("Invalid block type: " + type);
+  }
+
+  const values = Object.assign({}, fields);
+  if ((type === "open" || type === "state") && !values.account) {
+    values.account = keys.keyExpand(privateKey).account;
+  }
+
+  if (type === "send") {
+    values.balance = BigInt(units.raw(values.balance))
+      .toString(16)
+      .toUpperCase()
+      .padStart(32, "0");
+  }
+
+  if (type === "state") {
+    values.previous = values.previous || ZERO_HASH;
+    values.balance = units.raw(values.balance);
+    values.link = values.link || ZERO_HASH;
+    if (keys.isValidAccount(values.link)) {
+      values.link = keys.decodeAccount(values.link);
+    }
+    values.link = values.link.toUpperCase();
+    values.link_as_account = keys.encodeAccount(values.link);
+  }
+
+  const result = { type };
+  FIELDS[type].forEach(name => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error("Missing " + type + " block field: " + name);
+    }
+    result[name] = values[name];
+  });
+  return result;
+}
+
+/**
+ * @function create
+ * @description Build, hash and sign a block locally.
+ * @param {string} type - One of "open", "send", "receive", "change" or "state".
+ * @param {Object} fields - The block fields, see `contents()`.
+ * @param {string} privateKey - The private key of the block account.
+ * @param {string|Function|Object} work - A work value, or a work provider
+ *                                        like the `workProvider` option of
+ *                                        `RaiClient`. Optional.
+ * @param {Object} options - The `RaiClient` options of a work server URL,
+ *                           like `transport`, `timeout` or `retries`.
+ *                           Optional.
+ * @return {Promise<Object>} Resolves with `{ hash, block }`, the same shape
+ *                           as `block_create`: `block` is the JSON string
+ *                           to pass to `RaiClient.process()`.
+ */
+function create(type, fields, privateKey, work, options = {}) {
+  return Promise.resolve()
+    .then(() => {
+      const block = contents(type, fields, privateKey);
+      if (typeof work === "string" && WORK_REGEX.test(work)) {
+        return [block, work];
+      }
+
+      const provider = createWorkProvider(work, url => {
+        const RaiClient = require("./index");
+        return new RaiClient(url, true, options);
+      });
+      if (!provider) {
+        return [block, undefined];
+      }
+      return provider.generate(root(block)).then(value => [block, value]);
+    })
+    .then(([block, value]) => {
+      const blockHash = hash(block);
+      if (value !== undefined) {
+        block.work = value;
+      }
+      block.signature = sign(blockHash, privateKey);
+      return { hash: blockHash, block: JSON.stringify(block) };
+    });
+}
+
+module.exports = {
+  hash,
+  sign,
+  verify,
+  root,
+  contents,
+  create
+};
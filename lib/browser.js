@@ -0,0 +1,43 @@
+/**
+ * The transports of browser builds: the `browser` field of package.json
+ * swaps `./transport` for this module, so `RaiClient` sends its requests
+ * with `fetch()` and every method is the Node one. See `./transport-common`
+ * for the transport interface.
+ */
+
+const { MemoryTransport, isTransport } = require("./transport-common");
+const { FetchTransport } = require("./fetch");
+
+/**
+ * @class IpcTransport
+ * @description Browsers can't open Unix domain sockets.
+ */
+class IpcTransport {
+  constructor(path) {
+    throw new Error(
+      "Unix domain sockets aren't available in browsers: " + path
+    );
+  }
+}
+
+/**
+ * @function createTransport
+ * @description Build the transport of a node address, a `FetchTransport`.
+ * @param {string} address - The node address.
+ * @param {Object} options - The transport settings.
+ * @return {Object} A transport.
+ */
+function createTransport(address, options = {}) {
+  if (/^unix:/.test(address)) {
+    return new IpcTransport(address);
+  }
+  return new FetchTransport(address, options);
+}
+
+module.exports = {
+  IpcTransport,
+  MemoryTransport,
+  FetchTransport,
+  isTransport,
+  createTransport
+};
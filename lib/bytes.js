@@ -0,0 +1,72 @@
+/**
+ * Byte helpers over plain `Uint8Array`s, so that keys, work and blocks don't
+ * need Node's `Buffer` in browser builds.
+ */
+
+const HEX_REGEX = /^(?:[0-9A-Fa-f]{2})*$/;
+
+/**
+ * @function fromHex
+ * @description Decode a hex string.
+ * @param {string} hex - An even number of hex characters.
+ * @return {Uint8Array}
+ */
+function fromHex(hex) {
+  if (typeof hex !== "string" || !HEX_REGEX.test(hex)) {
+    throw new Error("Invalid hex string: " + hex);
+  }
+  const result = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return result;
+}
+
+/**
+ * @function toHex
+ * @description Encode bytes as upper case hex, the way the node does.
+ * @param {Uint8Array} bytes - Any bytes.
+ * @return {string}
+ */
+function toHex(bytes) {
+  let result = "";
+  for (const byte of bytes) {
+    result += byte.toString(16).padStart(2, "0");
+  }
+  return result.toUpperCase();
+}
+
+/**
+ * @function concat
+ * @description Join byte arrays.
+ * @param {Array<Uint8Array>} parts - The arrays, in order.
+ * @return {Uint8Array}
+ */
+function concat(parts) {
+  const result = new Uint8Array(
+    parts.reduce((length, part) => length + part.length, 0)
+  );
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * @function equal
+ * @param {Uint8Array} a - Some bytes.
+ * @param {Uint8Array} b - Other bytes.
+ * @return {boolean} Whether both hold the same bytes.
+ */
+function equal(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+module.exports = {
+  fromHex,
+  toHex,
+  concat,
+  equal
+};
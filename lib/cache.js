@@ -0,0 +1,312 @@
+/**
+ * Response caching for `RaiClient`. Results are cached per action according
+ * to TTL rules, in a store which is an in-memory LRU by default.
+ *
+ * Any object with these methods can be used as store, each one returning its
+ * result or a promise of it, so Redis or SQLite backed stores fit in:
+ *   - get(key): The cached string, or undefined.
+ *   - set(key, value, ttl): Cache a string for ttl milliseconds, which is
+ *     Infinity for data which never changes.
+ *   - delete(key): Forget a key.
+ */
+
+/**
+ * How long account data is cached, in milliseconds.
+ */
+const SHORT_TTL = 5000;
+
+/**
+ * Cached actions and their TTL in milliseconds, or a `(params) => ttl`
+ * function. Actions which aren't listed are never cached.
+ */
+const DEFAULT_TTLS = {
+  // Block contents never change once their hash is known.
+  block: Infinity,
+  blocks: Infinity,
+  blocks_info: params => (params.pending ? SHORT_TTL : Infinity),
+  block_account: Infinity,
+  account_get: Infinity,
+  account_key: Infinity,
+
+  account_balance: SHORT_TTL,
+  account_block_count: SHORT_TTL,
+  account_info: SHORT_TTL,
+  account_representative: SHORT_TTL,
+  account_weight: SHORT_TTL,
+  accounts_balances: SHORT_TTL,
+  accounts_frontiers: SHORT_TTL,
+  accounts_pending: SHORT_TTL,
+  frontiers: SHORT_TTL,
+  frontiers_count: SHORT_TTL,
+
+  available_supply: 60000,
+  version: 60000
+};
+
+/**
+ * Actions which are never cached, whatever the rules say: they change the
+ * node state, or hold secrets.
+ */
+const NEVER_CACHED = [
+  "deterministic_key",
+  "key_create",
+  "key_expand",
+  "password_valid",
+  "stop",
+  "wallet_export"
+];
+
+/**
+ * Parameters of the actions changing account data, per action, or a
+ * `(params) => accounts` function. The cached entries of those accounts are
+ * dropped once the action went through.
+ */
+const INVALIDATES = {
+  account_representative_set: ["account"],
+  process: params => {
+    let block = params.block;
+    try {
+      block = typeof block === "string" ? JSON.parse(block) : block;
+    } catch (e) {
+      return [];
+    }
+    // Only open and state blocks name their account.
+    return accountsOf(block || {}, ["account"]);
+  },
+  receive: ["account"],
+  send: ["source", "destination"]
+};
+
+/**
+ * @class MemoryStore
+ * @description An in-memory store, evicting the least recently used entries.
+ */
+class MemoryStore {
+  /*
+   * @function constructor
+   * @param {Object} options - Optional settings:
+   *   - {Number} max: How many entries are kept. Default to 1000.
+   *   - {Function} onEvict: Called with the key of each entry dropped because
+   *     it expired or to make room.
+   */
+  constructor(options = {}) {
+    this.max = options.max || 1000;
+    this.onEvict = options.onEvict || (() => {});
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      this.onEvict(key);
+      return undefined;
+    }
+
+    // Maps keep insertion order: move the entry to the most recent end.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttl });
+    while (this.entries.size > this.max) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.onEvict(oldest);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * @class ResponseCache
+ * @description Decides what is cached and for how long, and keeps track of
+ *              the entries of each account to invalidate them.
+ */
+class ResponseCache {
+  /*
+   * @function constructor
+   * @param {Object} options - Optional settings:
+   *   - {Object} store: Where responses are kept. Default to a `MemoryStore`.
+   *   - {Number} max: Size of the default `MemoryStore`.
+   *   - {Object} ttl: TTL rules merged over the default ones, a `false` or
+   *     0 TTL disabling the cache for an action.
+   */
+  constructor(options = {}) {
+    this.store =
+      options.store ||
+      new MemoryStore({ max: options.max, onEvict: key => this._forget(key) });
+    this.rules = Object.assign({}, DEFAULT_TTLS, options.ttl);
+    // Both ways between accounts and the keys of their entries, with the
+    // expiry of each key: the index only holds entries which may be cached.
+    this.accountKeys = new Map();
+    this.keyAccounts = new Map();
+    this.nextSweep = 0;
+  }
+
+  /**
+   * @function ttl
+   * @param {string} action - A given RPC action.
+   * @param {Object} params - Its parameters.
+   * @param {boolean} changesState - Whether the action changes the node
+   *                                  state, which is never cached.
+   * @return {Number} How long its result is cached, 0 when it isn't.
+   */
+  ttl(action, params = {}, changesState = false) {
+    if (changesState || NEVER_CACHED.indexOf(action) !== -1) {
+      return 0;
+    }
+
+    const rule = this.rules[action];
+    const ttl = typeof rule === "function" ? rule(params) : rule;
+    return ttl > 0 ? ttl : 0;
+  }
+
+  /**
+   * @function get
+   * @param {string} key - The request body.
+   * @return {Promise<string|undefined>} The cached response. Store failures
+   *                                     count as misses.
+   */
+  get(key) {
+    return Promise.resolve()
+      .then(() => this.store.get(key))
+      .catch(() => undefined);
+  }
+
+  /**
+   * @function set
+   * @param {string} key - The request body.
+   * @param {string} value - The response to cache.
+   * @param {Number} ttl - How long to cache it.
+   * @param {Object} params - The request parameters, to find its accounts.
+   * @return {Promise}
+   */
+  set(key, value, ttl, params = {}) {
+    this._sweep();
+    this._forget(key);
+    const accounts = accountsOf(params, ["account", "accounts"]);
+    if (accounts.length > 0) {
+      this.keyAccounts.set(key, { accounts, expires: Date.now() + ttl });
+      accounts.forEach(account => {
+        if (!this.accountKeys.has(account)) {
+          this.accountKeys.set(account, new Set());
+        }
+        this.accountKeys.get(account).add(key);
+      });
+    }
+
+    return Promise.resolve()
+      .then(() => this.store.set(key, value, ttl))
+      .catch(() => undefined);
+  }
+
+  /**
+   * @function invalidate
+   * @description Drop the cached entries of the accounts changed by an action.
+   * @param {string} action - A given RPC action.
+   * @param {Object} params - Its parameters.
+   * @return {Promise}
+   */
+  invalidate(action, params = {}) {
+    const keys = [];
+    const rule = INVALIDATES[action] || [];
+    const accounts =
+      typeof rule === "function" ? rule(params) : accountsOf(params, rule);
+    accounts.forEach(account => {
+      (this.accountKeys.get(account) || []).forEach(key => keys.push(key));
+    });
+    keys.forEach(key => this._forget(key));
+
+    return Promise.all(
+      keys.map(key =>
+        Promise.resolve()
+          .then(() => this.store.delete(key))
+          .catch(() => undefined)
+      )
+    );
+  }
+
+  // Drop a key from the account index.
+  _forget(key) {
+    const entry = this.keyAccounts.get(key);
+    if (!entry) {
+      return;
+    }
+    this.keyAccounts.delete(key);
+    entry.accounts.forEach(account => {
+      const keys = this.accountKeys.get(account);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.accountKeys.delete(account);
+        }
+      }
+    });
+  }
+
+  // Drop the expired keys from the account index, at most once every
+  // SHORT_TTL: other stores than the default one don't report expiries.
+  _sweep() {
+    const now = Date.now();
+    if (now < this.nextSweep) {
+      return;
+    }
+    this.nextSweep = now + SHORT_TTL;
+    this.keyAccounts.forEach((entry, key) => {
+      if (entry.expires <= now) {
+        this._forget(key);
+      }
+    });
+  }
+}
+
+function accountsOf(params, names) {
+  const accounts = [];
+  names.forEach(name => {
+    const value = params[name];
+    (Array.isArray(value) ? value : [value]).forEach(account => {
+      if (typeof account === "string") {
+        accounts.push(account);
+      }
+    });
+  });
+  return accounts;
+}
+
+/**
+ * @function createCache
+ * @description Build the cache of a client from its `cache` option.
+ * @param {boolean|Object|ResponseCache} option - `true` for the defaults,
+ *                                                settings, or a cache to share.
+ * @return {ResponseCache|null} The cache, or null when `option` is empty.
+ */
+function createCache(option) {
+  if (!option) {
+    return null;
+  }
+  if (option instanceof ResponseCache) {
+    return option;
+  }
+  return new ResponseCache(option === true ? {} : option);
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  MemoryStore,
+  ResponseCache,
+  createCache
+};
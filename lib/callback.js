@@ -0,0 +1,213 @@
+const http = require("http");
+const EventEmitter = require("events");
+const keys = require("./keys");
+
+/**
+ * Largest callback body accepted, in bytes.
+ */
+const MAX_BODY = 1024 * 1024;
+
+const ZERO_HASH = "0".repeat(64);
+
+/**
+ * @class CallbackServer
+ * @description Receives the blocks a node POSTs to its `callback_address`,
+ *              and emits them as events:
+ *   - "send", "receive", "change": The block, by what it does. Open blocks
+ *     are receives, state blocks are classified from their subtype.
+ *   - "block": Every block, whatever its kind.
+ *   - "error": A callback couldn't be handled.
+ *
+ *   Events are `{ hash, account, type, amount, destination, block }`, `block`
+ *   being the decoded block contents and `destination` only set for sends.
+ */
+class CallbackServer extends EventEmitter {
+  /*
+   * @function constructor
+   * @param {Object} options - Optional settings:
+   *   - {RaiClient} client: Fetches what the callback lacks (the block
+   *     account and amount, with older nodes) through `blocks_info`.
+   *   - {Array<string>} accounts: Only report blocks of, or sent to, those
+   *     accounts. Default to every block.
+   *   - {string} path: The callback path. Default to any.
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client || null;
+    this.accounts = new Set(options.accounts || []);
+    this.path = options.path || null;
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+  }
+
+  /**
+   * @function listen
+   * @param {Number} port - The port to listen on. Default to a random one.
+   * @param {string} host - The interface to listen on. Default to 127.0.0.1.
+   * @return {Promise<string>} Resolves with the callback address.
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve("http://" + address.address + ":" + address.port);
+      });
+    });
+  }
+
+  /**
+   * @function close
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * @function watch
+   * @param {string} account - An XRB account to report the blocks of.
+   */
+  watch(account) {
+    this.accounts.add(account);
+  }
+
+  /**
+   * @function unwatch
+   * @param {string} account - An XRB account to stop reporting.
+   */
+  unwatch(account) {
+    this.accounts.delete(account);
+  }
+
+  /**
+   * @function handle
+   * @description Handle a callback payload, as posted by the node.
+   * @param {Object|string} payload - `{ account, hash, block, amount }`, the
+   *                                  `block` field being a JSON string.
+   * @return {Promise<Object|null>} Resolves with the emitted event, or null
+   *                                when it was filtered out.
+   */
+  handle(payload) {
+    return new Promise(resolve => {
+      const data = typeof payload === "string" ? JSON.parse(payload) : payload;
+      const block =
+        typeof data.block === "string" ? JSON.parse(data.block) : data.block;
+      if (!block || typeof block.type !== "string") {
+        throw new Error("Invalid callback block");
+      }
+      resolve(this._enrich(data, block));
+    }).then(event => {
+      if (!this._matches(event)) {
+        return null;
+      }
+      this.emit(event.type, event);
+      this.emit("block", event);
+      return event;
+    });
+  }
+
+  _onRequest(req, res) {
+    if (req.method !== "POST" || (this.path && req.url !== this.path)) {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    const body = [];
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        res.statusCode = 413;
+        res.end();
+        req.destroy();
+        return;
+      }
+      body.push(chunk);
+    });
+    req.on("end", () => {
+      // The node doesn't wait for the processing.
+      res.end();
+      this.handle(Buffer.concat(body).toString()).catch(err => {
+        if (this.listenerCount("error") > 0) {
+          this.emit("error", err);
+        }
+      });
+    });
+  }
+
+  _enrich(data, block) {
+    const hash = String(data.hash || "").toUpperCase();
+    if (block.type === "state" && block.link && !block.link_as_account) {
+      block.link_as_account = keys.encodeAccount(block.link);
+    }
+    const event = {
+      hash,
+      account: data.account || block.account,
+      type: classify(data, block),
+      amount: data.amount,
+      block
+    };
+    if (event.type === "send") {
+      event.destination = block.destination || block.link_as_account;
+    }
+
+    if ((event.account && event.amount !== undefined) || !this.client) {
+      return event;
+    }
+    return this.client._query("blocks_info", { hashes: [hash] }).then(res => {
+      const info = res.blocks[hash];
+      event.account = event.account || info.block_account;
+      event.amount = event.amount === undefined ? info.amount : event.amount;
+      return event;
+    });
+  }
+
+  _matches(event) {
+    return (
+      this.accounts.size === 0 ||
+      this.accounts.has(event.account) ||
+      (event.destination !== undefined && this.accounts.has(event.destination))
+    );
+  }
+}
+
+function classify(data, block) {
+  switch (block.type) {
+    case "send":
+      return "send";
+    case "open":
+    case "receive":
+      return "receive";
+    case "change":
+      return "change";
+    default:
+      if (data.subtype === "send" || data.is_send === "true") {
+        return "send";
+      }
+      if (
+        data.subtype === "change" ||
+        !block.link ||
+        block.link === ZERO_HASH
+      ) {
+        return "change";
+      }
+      return "receive";
+  }
+}
+
+/**
+ * @function createCallbackServer
+ * @description Build a server receiving the node callbacks. Start it with
+ *              `listen()` and point the node `callback_address`,
+ *              `callback_port` and `callback_target` to it.
+ * @param {Object} options - See `CallbackServer`.
+ * @return {CallbackServer}
+ */
+function createCallbackServer(options = {}) {
+  return new CallbackServer(options);
+}
+
+module.exports = {
+  CallbackServer,
+  createCallbackServer
+};
@@ -0,0 +1,285 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const RaiClient = require("./index");
+const units = require("./units");
+const errors = require("./errors");
+
+const DEFAULT_NODE = "http://127.0.0.1:7076";
+const DEFAULT_CONFIG = path.join(os.homedir(), ".rai-rpc.json");
+
+/**
+ * Actions which lose funds, keys or the node if run by mistake: they ask for
+ * a confirmation, unless `--yes` is given.
+ */
+const DESTRUCTIVE_ACTIONS = [
+  "account_remove",
+  "send",
+  "stop",
+  "wallet_change_seed",
+  "wallet_destroy"
+];
+
+/**
+ * Response fields holding a raw amount, converted by `--unit`.
+ */
+const AMOUNT_FIELDS = ["amount", "available", "balance", "pending", "weight"];
+
+/**
+ * Client methods which aren't RPC actions.
+ */
+const NOT_ACTIONS = ["constructor", "withOptions", "use"];
+
+const USAGE = `Usage: rai-rpc [options] <action> [args...]
+
+Call a RaiBlocks node RPC action, and print its response as JSON.
+Arguments are given in the order of the RaiClient method, or as a JSON
+object of parameters with --json. JSON arrays, objects, true, false and null
+arguments are parsed, amounts accept units like "1.5 Mrai".
+
+Options:
+  -n, --node <url>     The node address ($RAI_RPC_NODE, default ${DEFAULT_NODE})
+  -c, --config <path>  A JSON config file with "node", "unit" and client
+                       "options" ($RAI_RPC_CONFIG, default ~/.rai-rpc.json)
+  -j, --json <params>  Send these parameters as they are
+  -u, --unit <unit>    Display amounts in this unit (Mrai, krai, rai, ...)
+      --compact        Print the JSON on a single line
+  -y, --yes            Don't ask before destructive actions
+  -h, --help           Show this help, and the list of actions`;
+
+/**
+ * @function actions
+ * @description Get the RPC actions the CLI can call.
+ * @return {Array<string>} The RaiClient methods names, sorted.
+ */
+function actions() {
+  return Object.getOwnPropertyNames(RaiClient.prototype)
+    .filter(
+      name =>
+        NOT_ACTIONS.indexOf(name) === -1 &&
+        name[0] !== "_" &&
+        name.indexOf("iterate") !== 0 &&
+        typeof RaiClient.prototype[name] === "function"
+    )
+    .sort();
+}
+
+/**
+ * @function parseArgs
+ * @description Split the command line into options, action and arguments.
+ * @param {Array<string>} argv - The command line, without node and script.
+ * @return {Object} `{ node, config, json, unit, compact, yes, help, action, args }`
+ */
+function parseArgs(argv) {
+  const parsed = { args: [] };
+  const valued = {
+    "-n": "node",
+    "--node": "node",
+    "-c": "config",
+    "--config": "config",
+    "-j": "json",
+    "--json": "json",
+    "-u": "unit",
+    "--unit": "unit"
+  };
+  const flags = {
+    "--compact": "compact",
+    "-y": "yes",
+    "--yes": "yes",
+    "-h": "help",
+    "--help": "help"
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valued.hasOwnProperty(arg)) {
+      if (i + 1 >= argv.length) {
+        throw new Error("Missing value for " + arg);
+      }
+      parsed[valued[arg]] = argv[++i];
+    } else if (flags.hasOwnProperty(arg)) {
+      parsed[flags[arg]] = true;
+    } else if (arg[0] === "-" && arg.length > 1 && !/^-\d/.test(arg)) {
+      throw new Error("Unknown option: " + arg);
+    } else if (parsed.action === undefined) {
+      parsed.action = arg;
+    } else {
+      parsed.args.push(parseValue(arg));
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Positional arguments are strings, unless they hold a JSON array, object or
+ * literal. Numbers stay strings: hashes and amounts don't fit in a double.
+ */
+function parseValue(arg) {
+  if (/^[[{]/.test(arg) || ["true", "false", "null"].indexOf(arg) !== -1) {
+    return JSON.parse(arg);
+  }
+  return arg;
+}
+
+function loadConfig(file, required) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT" && !required) {
+      return {};
+    }
+    throw new Error("Invalid config file " + file + ": " + e.message);
+  }
+}
+
+/**
+ * @function displayAmounts
+ * @description Convert the raw amounts of a response to another unit.
+ * @param {*} data - A parsed response.
+ * @param {string} unit - The display unit.
+ * @return {*} A copy of data.
+ */
+function displayAmounts(data, unit) {
+  if (Array.isArray(data)) {
+    return data.map(item => displayAmounts(item, unit));
+  }
+  if (!data || typeof data !== "object") {
+    return data;
+  }
+
+  const result = {};
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    result[key] =
+      AMOUNT_FIELDS.indexOf(key) !== -1 &&
+      typeof value === "string" &&
+      /^\d+$/.test(value)
+        ? units.fromRaw(value, unit)
+        : displayAmounts(value, unit);
+  });
+  return result;
+}
+
+function confirm(io, question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: io.stdin, terminal: false });
+    let answered = false;
+    rl.on("close", () => resolve(answered));
+    io.stderr.write(question);
+    rl.once("line", line => {
+      answered = /^y(es)?$/i.test(line.trim());
+      rl.close();
+    });
+  });
+}
+
+/**
+ * @function run
+ * @description Run the `rai-rpc` command.
+ * @param {Array<string>} argv - The command line, without node and script.
+ * @param {Object} io - `{ stdin, stdout, stderr, env }`, default to the
+ *                      process ones.
+ * @return {Promise<Number>} Resolves with the exit code.
+ */
+function run(argv, io = {}) {
+  io = Object.assign(
+    {
+      stdin: process.stdin,
+      stdout: process.stdout,
+      stderr: process.stderr,
+      env: process.env
+    },
+    io
+  );
+  const fail = (message, code = 1) => {
+    io.stderr.write(message + "\n");
+    return Promise.resolve(code);
+  };
+
+  let options;
+  let config;
+  try {
+    options = parseArgs(argv);
+    const file = options.config || io.env.RAI_RPC_CONFIG;
+    config = loadConfig(file || DEFAULT_CONFIG, file !== undefined);
+  } catch (e) {
+    return fail(e.message, 2);
+  }
+
+  if (options.help || options.action === undefined) {
+    const list = actions().join(" ");
+    io.stdout.write(USAGE + "\n\nActions:\n" + list + "\n");
+    return Promise.resolve(options.help ? 0 : 2);
+  }
+  if (actions().indexOf(options.action) === -1 && !options.json) {
+    return fail("Unknown action: " + options.action + ", see --help", 2);
+  }
+
+  let params;
+  try {
+    params = options.json === undefined ? undefined : JSON.parse(options.json);
+  } catch (e) {
+    return fail("Invalid --json parameters: " + e.message, 2);
+  }
+
+  const node = options.node || io.env.RAI_RPC_NODE || config.node;
+  const unit = options.unit || config.unit;
+  try {
+    if (unit) {
+      units.decimals(unit);
+    }
+  } catch (e) {
+    return fail(e.message, 2);
+  }
+  const client = new RaiClient(node || DEFAULT_NODE, true, config.options);
+  const call = () =>
+    params === undefined
+      ? client[options.action].apply(client, options.args)
+      : client._send(options.action, params);
+
+  // The confirmation runs as a middleware, so that it shows the parameters
+  // the method built from the arguments, secrets redacted.
+  let aborted = false;
+  if (!options.yes && DESTRUCTIVE_ACTIONS.indexOf(options.action) !== -1) {
+    client.use((context, next) => {
+      if (context.action !== options.action) {
+        return next();
+      }
+      const described =
+        context.params === undefined
+          ? ""
+          : " " +
+            JSON.stringify(errors.sanitize(context.params, context.action));
+      const question = "Run " + context.action + described + "? [y/N] ";
+      return confirm(io, question).then(yes => {
+        if (!yes) {
+          aborted = true;
+          throw new Error("Aborted.");
+        }
+        return next();
+      });
+    });
+  }
+
+  return Promise.resolve()
+    .then(call)
+    .then(
+      res => {
+        const data = unit ? displayAmounts(res, unit) : res;
+        const json = options.compact
+          ? JSON.stringify(data)
+          : JSON.stringify(data, null, 2);
+        io.stdout.write(json + "\n");
+        return 0;
+      },
+      err => fail(aborted ? "Aborted." : err.name + ": " + err.message)
+    );
+}
+
+module.exports = {
+  actions,
+  displayAmounts,
+  parseArgs,
+  run
+};
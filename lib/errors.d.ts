@@ -0,0 +1,56 @@
+/**
+ * Errors `RaiClient` rejects with, see `./errors.js`.
+ */
+
+export interface ErrorDetails {
+  action?: string;
+  params?: object;
+  response?: object | string;
+  cause?: Error;
+  statusCode?: number;
+  timeout?: number;
+  argument?: string;
+}
+
+export class RpcError extends Error {
+  constructor(message: string, details?: ErrorDetails);
+  action: string | undefined;
+  /** The request parameters, secrets redacted. */
+  params: object | undefined;
+  /** The node response, parsed when it could be. */
+  response: object | string | undefined;
+  cause?: Error;
+}
+
+export class TransportError extends RpcError {
+  /** The HTTP status, undefined when the connection failed. */
+  statusCode: number | undefined;
+}
+
+export class TimeoutError extends TransportError {
+  timeout: number;
+}
+
+export class ParseError extends RpcError {}
+
+export class ValidationError extends RpcError {
+  /** The name of the rejected parameter. */
+  argument: string;
+}
+export class AccountNotFoundError extends RpcError {}
+export class BlockNotFoundError extends RpcError {}
+export class WalletLockedError extends RpcError {}
+export class BadWalletError extends RpcError {}
+export class BadAccountError extends RpcError {}
+export class BadAmountError extends RpcError {}
+export class InsufficientBalanceError extends RpcError {}
+export class ControlDisabledError extends RpcError {}
+export class UnknownCommandError extends RpcError {}
+
+export function fromResponse(
+  action: string,
+  params: object | undefined,
+  response: { error: string }
+): RpcError;
+export function isTransient(err: unknown): boolean;
+export function sanitize<T>(params: T, action?: string): T;
@@ -0,0 +1,185 @@
+/**
+ * Errors `RaiClient` rejects with. Every error carries the `action` it
+ * happened on, its `params` (secrets redacted) and the raw `response` of the
+ * node when there is one, so callers can `instanceof` instead of comparing
+ * `.error` strings.
+ */
+
+/**
+ * Parameters never copied into errors, as they hold seeds or passwords.
+ */
+const SECRET_PARAMS = ["password", "seed", "new_password"];
+
+/**
+ * Actions whose `key` parameter is a private key. Elsewhere, like for
+ * `account_get` or `unchecked_keys`, it's a public key or a hash, and kept.
+ */
+const PRIVATE_KEY_ACTIONS = ["block_create", "key_expand", "wallet_add"];
+const REDACTED = "[redacted]";
+
+/**
+ * @function sanitize
+ * @description Copy request params, with the secret ones redacted.
+ * @param {Object} params - Parameters passed to the RPC daemon.
+ * @param {string} action - The RPC action. Without it, `key` is always
+ *                          redacted.
+ * @return {Object|undefined}
+ */
+function sanitize(params, action) {
+  if (!params || typeof params !== "object") {
+    return params;
+  }
+
+  const result = Object.assign({}, params);
+  const secrets =
+    action === undefined || PRIVATE_KEY_ACTIONS.indexOf(action) !== -1
+      ? SECRET_PARAMS.concat(["key"])
+      : SECRET_PARAMS;
+  secrets.forEach(name => {
+    if (result[name] !== undefined) {
+      result[name] = REDACTED;
+    }
+  });
+  return result;
+}
+
+/**
+ * @class RpcError
+ * @description Base class of every error of an RPC call. Used as is for node
+ *              errors which have no dedicated class.
+ */
+class RpcError extends Error {
+  /*
+   * @function constructor
+   * @param {string} message - The error message, the node one when it has one.
+   * @param {Object} details - Optional context:
+   *   - {string} action: The RPC action.
+   *   - {Object} params: Its parameters, sanitized here.
+   *   - {Object|string} response: The node response, parsed when it could be.
+   *   - {Error} cause: The underlying error, if any.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.action = details.action;
+    this.params = sanitize(details.params, details.action);
+    this.response = details.response;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+/**
+ * The request never got a valid HTTP response: connection failure or a
+ * non-2xx status code, kept in `statusCode`.
+ */
+class TransportError extends RpcError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.statusCode = details.statusCode;
+  }
+}
+
+/**
+ * The request took longer than the `timeout` option, kept in `timeout`.
+ */
+class TimeoutError extends TransportError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+}
+
+/**
+ * The node answered with something that isn't JSON.
+ */
+class ParseError extends RpcError {}
+
+/**
+ * A parameter was rejected before sending, its name is kept in `argument`.
+ */
+class ValidationError extends RpcError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.argument = details.argument;
+  }
+}
+
+class AccountNotFoundError extends RpcError {}
+class BlockNotFoundError extends RpcError {}
+class WalletLockedError extends RpcError {}
+class BadWalletError extends RpcError {}
+class BadAccountError extends RpcError {}
+class BadAmountError extends RpcError {}
+class InsufficientBalanceError extends RpcError {}
+class ControlDisabledError extends RpcError {}
+class UnknownCommandError extends RpcError {}
+
+/**
+ * Node error messages, across node versions, and the class they map to.
+ */
+const NODE_ERRORS = {
+  "Account not found": AccountNotFoundError,
+  "Account not found in wallet": AccountNotFoundError,
+  "Block not found": BlockNotFoundError,
+  "Unchecked block not found": BlockNotFoundError,
+  "Wallet locked": WalletLockedError,
+  "Wallet is locked": WalletLockedError,
+  "Bad wallet number": BadWalletError,
+  "Wallet not found": BadWalletError,
+  "Bad account number": BadAccountError,
+  "Invalid address": BadAccountError,
+  "Bad amount number": BadAmountError,
+  "Insufficient balance": InsufficientBalanceError,
+  "RPC control is disabled": ControlDisabledError,
+  "Unknown command": UnknownCommandError
+};
+
+/**
+ * @function fromResponse
+ * @description Build the error matching a node `{ error }` response.
+ * @param {string} action - The RPC action.
+ * @param {Object} params - Its parameters.
+ * @param {Object} response - The parsed node response.
+ * @return {RpcError}
+ */
+function fromResponse(action, params, response) {
+  const ErrorClass = NODE_ERRORS[response.error] || RpcError;
+  return new ErrorClass(response.error, { action, params, response });
+}
+
+/**
+ * @function isTransient
+ * @description Whether an error may go away on a retry: connection failures,
+ *              timeouts and 5xx statuses. Node errors and invalid responses
+ *              won't.
+ * @param {Error} err - Any error.
+ * @return {boolean}
+ */
+function isTransient(err) {
+  return (
+    err instanceof TransportError &&
+    (err.statusCode === undefined || err.statusCode >= 500)
+  );
+}
+
+module.exports = {
+  RpcError,
+  TransportError,
+  TimeoutError,
+  ParseError,
+  ValidationError,
+  AccountNotFoundError,
+  BlockNotFoundError,
+  WalletLockedError,
+  BadWalletError,
+  BadAccountError,
+  BadAmountError,
+  InsufficientBalanceError,
+  ControlDisabledError,
+  UnknownCommandError,
+  fromResponse,
+  isTransient,
+  sanitize
+};
@@ -0,0 +1,79 @@
+const { authorization } = require("./transport-common");
+
+/**
+ * @class FetchTransport
+ * @description Requests with `fetch()`, the default transport of browser
+ *              builds. It also works in Node 18 and later.
+ */
+class FetchTransport {
+  /*
+   * @function constructor
+   * @param {string} address - The node URL, like "http://127.0.0.1:7076".
+   * @param {Object} options - Optional settings:
+   *   - {Object} auth: `{ username, password }` or `{ bearer }`, see the
+   *     `transport` option of `RaiClient`.
+   *   - {Object} headers: Other headers sent with every request.
+   *   - {Object} init: Other `fetch()` settings, like `credentials` or
+   *     `mode`.
+   *   - {Function} fetch: The `fetch()` implementation. Default to the
+   *     global one.
+   *   TLS, proxies and connection reuse are up to the browser.
+   */
+  constructor(address, options = {}) {
+    this.address = address;
+    this.options = options;
+    this.url = null;
+  }
+
+  /**
+   * @function request
+   * @description Send a request, see the transport interface.
+   * @param {string} body - The JSON request.
+   * @param {Object} options - `{ signal }`, an optional AbortSignal.
+   * @return {Promise<Object>} `{ statusCode, body }`
+   */
+  request(body, options = {}) {
+    const fetch = this.options.fetch || globalThis.fetch;
+    return Promise.resolve()
+      .then(() =>
+        fetch(
+          this._connect(),
+          Object.assign({}, this.options.init, {
+            method: "POST",
+            headers: this.headers,
+            body,
+            signal: options.signal
+          })
+        )
+      )
+      .then(response =>
+        response.text().then(text => ({
+          statusCode: response.status,
+          body: text
+        }))
+      );
+  }
+
+  // fetch() refuses URLs with credentials: they go in a header instead.
+  _connect() {
+    if (!this.url) {
+      const url = new URL(this.address + "/");
+      this.headers = Object.assign(
+        { "content-type": "application/json" },
+        this.options.headers
+      );
+      const auth = authorization(url, this.options.auth);
+      if (auth) {
+        this.headers.authorization = auth;
+      }
+      url.username = "";
+      url.password = "";
+      this.url = url.href;
+    }
+    return this.url;
+  }
+}
+
+module.exports = {
+  FetchTransport
+};
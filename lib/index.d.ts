@@ -0,0 +1,1006 @@
+/// <reference lib="es2015" />
+/// <reference lib="es2018.asynciterable" />
+/// <reference lib="es2020.bigint" />
+
+/**
+ * Type definitions of `RaiClient`. Responses are typed after the node RPC
+ * protocol: every amount is a raw decimal string, and so are the counters
+ * the client doesn't convert. With `deserializeJSON` set to false, every
+ * method resolves with the raw JSON string instead.
+ */
+
+import * as errors from "./errors";
+import * as transports from "./transport";
+
+declare namespace RaiClient {
+  /** A raw amount, or an amount with its unit like "1.5 Mrai". */
+  type Amount = string | number | bigint;
+
+  /** The response of a method, depending on `deserializeJSON`. */
+  type Response<D extends boolean, T> = Promise<D extends false ? string : T>;
+
+  /** "local", a work server URL, or a work callback or object. */
+  type WorkProvider =
+    | string
+    | { local: true; threshold?: string }
+    | ((root: string) => string | Promise<string>)
+    | { generate(root: string): string | Promise<string> };
+
+  interface CacheStore {
+    get(key: string): string | undefined | Promise<string | undefined>;
+    set(key: string, value: string, ttl: number): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+  }
+
+  interface CallOptions {
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    jitter?: boolean;
+    idempotent?: string[] | ((action: string) => boolean);
+  }
+
+  type TransportOptions = transports.TransportOptions;
+  type Transport = transports.Transport;
+
+  interface Options extends CallOptions {
+    workProvider?: WorkProvider;
+    resolveErrors?: boolean;
+    cache?:
+      | boolean
+      | {
+          store?: CacheStore;
+          max?: number;
+          ttl?: {
+            [action: string]:
+              | number
+              | false
+              | ((params: object) => number | false);
+          };
+        };
+    batch?: boolean | { window?: number; maxSize?: number };
+    validate?: boolean;
+    transport?: Transport | TransportOptions;
+  }
+
+  /** What a middleware gets about a call, see `use()`. */
+  interface MiddlewareContext {
+    action: string;
+    params: Record<string, unknown> | undefined;
+    client: RaiClient<boolean>;
+    [key: string]: unknown;
+  }
+
+  type Middleware = (
+    context: MiddlewareContext,
+    next: () => Promise<unknown>
+  ) => unknown;
+
+  interface IterateOptions {
+    chunk?: number;
+  }
+
+  /** The decoded contents of a block. */
+  interface BlockContents {
+    type: "send" | "receive" | "open" | "change" | "state";
+    account?: string;
+    previous?: string;
+    representative?: string;
+    balance?: string;
+    link?: string;
+    link_as_account?: string;
+    source?: string;
+    destination?: string;
+    work: string;
+    signature: string;
+  }
+
+  interface Balance {
+    balance: string;
+    pending: string;
+  }
+
+  interface AccountInfo {
+    frontier: string;
+    open_block: string;
+    representative_block: string;
+    balance: string;
+    modified_timestamp: string;
+    block_count: string;
+    representative?: string;
+    weight?: string;
+    pending?: string;
+  }
+
+  interface HistoryEntry {
+    hash: string;
+    type: "send" | "receive";
+    account: string;
+    amount: string;
+  }
+
+  interface PendingBlock {
+    amount: string;
+    source: string;
+  }
+
+  /**
+   * Pending blocks per account: hashes, or amounts per hash with a
+   * threshold, or amounts and sources per hash with `source`. Accounts
+   * without any may get an empty string.
+   */
+  interface PendingBlocks {
+    [account: string]:
+      | string[]
+      | { [hash: string]: string }
+      | { [hash: string]: PendingBlock }
+      | "";
+  }
+
+  interface BlockInfo {
+    block_account: string;
+    amount: string;
+    /** The block contents, as a JSON string. */
+    contents: string;
+    source_account?: string;
+    pending?: string;
+  }
+
+  interface KeyPair {
+    private: string;
+    public: string;
+    account: string;
+  }
+
+  interface Peer {
+    address: string;
+    port: number | null;
+    protocol_version: number;
+  }
+
+  interface UncheckedKey {
+    key: string;
+    hash: string;
+    contents: BlockContents;
+  }
+
+  interface Confirmation {
+    hash: string;
+    tally: string;
+    duration?: number;
+    time?: number;
+    request_count?: number;
+  }
+
+  interface StatsEntry {
+    time: string;
+    type: string;
+    detail: string;
+    dir: string;
+    value: number;
+  }
+
+  interface BootstrapStatus {
+    [counter: string]: number | boolean | string;
+  }
+
+  type Empty = { [key: string]: never };
+  type Success = { success: "" };
+
+  /** The response of every action. */
+  interface Responses {
+    account_balance: Balance;
+    account_block_count: { block_count: string };
+    account_info: AccountInfo;
+    account_create: { account: string };
+    account_get: { account: string };
+    account_history: { history: HistoryEntry[] };
+    account_list: { accounts: string[] };
+    account_move: { moved: "0" | "1" };
+    account_key: { key: string };
+    account_remove: { removed: "0" | "1" };
+    account_representative: { representative: string };
+    account_representative_set: { block: string };
+    account_weight: { weight: string };
+    accounts_balances: { balances: { [account: string]: Balance } };
+    accounts_create: { accounts: string[] };
+    accounts_frontiers: { frontiers: { [account: string]: string } };
+    accounts_pending: { blocks: PendingBlocks };
+    available_supply: { available: string };
+    block: { contents: string };
+    blocks: { blocks: { [hash: string]: string } };
+    blocks_info: { blocks: { [hash: string]: BlockInfo } };
+    block_account: { account: string };
+    block_count: { count: string; unchecked: string };
+    block_count_type: {
+      send: string;
+      receive: string;
+      open: string;
+      change: string;
+      state?: string;
+    };
+    version: {
+      rpc_version: number;
+      store_version: number;
+      node_vendor: string;
+    };
+    peers: { peers: Peer[] };
+    unchecked: { blocks: { [hash: string]: BlockContents } };
+    unchecked_get: { contents: BlockContents };
+    unchecked_keys: { unchecked: UncheckedKey[] };
+    unchecked_clear: { success: boolean };
+    confirmation_history: { confirmations: Confirmation[] };
+    stats: { type: string; created: string; entries: StatsEntry[] };
+    bootstrap_status: BootstrapStatus;
+    node_id: { private: string; public: string; as_account: string };
+    bootstrap: Success;
+    bootstrap_any: Success;
+    chain: { blocks: string[] };
+    delegators: { delegators: { [account: string]: string } };
+    delegators_count: { count: string };
+    deterministic_key: KeyPair;
+    frontiers: { frontiers: { [account: string]: string } };
+    frontiers_count: { count: string };
+    history: { history: HistoryEntry[] };
+    mrai_from_raw: { amount: string };
+    mrai_to_raw: { amount: string };
+    krai_from_raw: { amount: string };
+    krai_to_raw: { amount: string };
+    rai_from_raw: { amount: string };
+    rai_to_raw: { amount: string };
+    keepalive: { started: "1" };
+    key_create: KeyPair;
+    key_expand: KeyPair;
+    ledger: { accounts: { [account: string]: AccountInfo } };
+    block_create: { hash: string; block: string };
+    payment_init: { status: string };
+    payment_begin: { account: string };
+    payment_wait: { status: "success" | "nothing" };
+    payment_end: Empty;
+    process: { hash: string };
+    receive: { block: string };
+    receive_minimum: { amount: string };
+    receive_minimum_set: Success;
+    representatives: { representatives: { [account: string]: string } };
+    wallet_representative: { representative: string };
+    wallet_representative_set: { set: "0" | "1" };
+    wallet_create: { wallet: string };
+    wallet_destroy: Empty;
+    wallet_add: { account: string };
+    wallet_balance_total: Balance;
+    wallet_balances: { balances: { [account: string]: Balance } };
+    wallet_contains: { exists: "0" | "1" };
+    wallet_export: { json: string };
+    wallet_frontiers: { frontiers: { [account: string]: string } };
+    wallet_pending: { blocks: PendingBlocks };
+    wallet_republish: { blocks: string[] };
+    wallet_key_valid: { valid: "0" | "1" };
+    wallet_change_seed: Success;
+    wallet_locked: { locked: "0" | "1" };
+    password_change: { changed: "0" | "1" };
+    password_enter: { valid: "0" | "1" };
+    password_valid: { valid: "0" | "1" };
+    republish: { blocks: string[] };
+    search_pending: { started: "1" };
+    search_pending_all: Success;
+    send: { block: string };
+    work_generate: { work: string };
+    work_cancel: Empty;
+    work_validate: { valid: "0" | "1" };
+    work_get: { work: string };
+    work_set: Success;
+    work_peer_add: Success;
+    work_peers_clear: Success;
+    stop: Success;
+  }
+
+  type ActionResponse<D extends boolean, A extends keyof Responses> = Response<
+    D,
+    Responses[A]
+  >;
+
+  type ActionResult<
+    D extends boolean,
+    A extends keyof Responses
+  > = D extends false ? string : Responses[A];
+
+  /** An error-first callback, which every method takes as last argument. */
+  type Callback<D extends boolean, A extends keyof Responses> = (
+    err: Error | null,
+    result?: ActionResult<D, A>
+  ) => void;
+
+  /** The arguments of a call with a callback: the optional ones can be left out. */
+  type WithCallback<
+    P extends unknown[],
+    D extends boolean,
+    A extends keyof Responses
+  > = [...Prefixes<P>, Callback<D, A>];
+
+  type Prefixes<T extends unknown[]> = T extends []
+    ? []
+    : ([] extends T ? [] : never) | [Required<T>[0], ...Prefixes<Tail<T>>];
+
+  type Tail<T extends unknown[]> = ((...args: T) => void) extends (
+    head?: any,
+    ...tail: infer R
+  ) => void
+    ? R
+    : [];
+
+  interface Converter<D extends boolean, A extends keyof Responses> {
+    (amount: Amount): ActionResponse<D, A>;
+    (amount: Amount, callback: Callback<D, A>): void;
+  }
+}
+
+/**
+ * An RPC Client for RaiBlocks. `D` is the `deserializeJSON` setting: when
+ * false, every method resolves with the raw JSON string.
+ */
+declare class RaiClient<D extends boolean = true> {
+  constructor(
+    nodeAddress: string,
+    deserializeJSON?: D,
+    options?: RaiClient.Options
+  );
+
+  static errors: typeof errors;
+  static transports: typeof transports;
+
+  nodeAddress: string;
+  deserializeJSON: D;
+  resolveErrors: boolean;
+  validate: boolean;
+  transport: RaiClient.Transport;
+  middleware: RaiClient.Middleware[];
+
+  /** The node side unit conversions. */
+  remote: {
+    mrai_from_raw: RaiClient.Converter<D, "mrai_from_raw">;
+    mrai_to_raw: RaiClient.Converter<D, "mrai_to_raw">;
+    krai_from_raw: RaiClient.Converter<D, "krai_from_raw">;
+    krai_to_raw: RaiClient.Converter<D, "krai_to_raw">;
+    rai_from_raw: RaiClient.Converter<D, "rai_from_raw">;
+    rai_to_raw: RaiClient.Converter<D, "rai_to_raw">;
+  };
+
+  /**
+   * Get a client with some of the timeout and retry options overridden, or
+   * skipping the cache with `cache: false`.
+   */
+  withOptions(options: RaiClient.CallOptions & { cache?: false }): this;
+
+  /** Add a middleware, run around every call after the ones added before. */
+  use(fn: RaiClient.Middleware): this;
+
+  account_balance(
+    account: string
+  ): RaiClient.ActionResponse<D, "account_balance">;
+  account_balance(
+    ...args: RaiClient.WithCallback<[string], D, "account_balance">
+  ): void;
+  account_block_count(
+    account: string
+  ): RaiClient.ActionResponse<D, "account_block_count">;
+  account_block_count(
+    ...args: RaiClient.WithCallback<[string], D, "account_block_count">
+  ): void;
+  account_info(
+    account: string,
+    representative?: boolean,
+    weight?: boolean,
+    pending?: boolean
+  ): RaiClient.ActionResponse<D, "account_info">;
+  account_info(
+    ...args: RaiClient.WithCallback<
+      [string, boolean?, boolean?, boolean?],
+      D,
+      "account_info"
+    >
+  ): void;
+  account_create(
+    wallet: string,
+    work?: boolean
+  ): RaiClient.ActionResponse<D, "account_create">;
+  account_create(
+    ...args: RaiClient.WithCallback<[string, boolean?], D, "account_create">
+  ): void;
+  account_get(key: string): RaiClient.ActionResponse<D, "account_get">;
+  account_get(
+    ...args: RaiClient.WithCallback<[string], D, "account_get">
+  ): void;
+  account_history(
+    account: string,
+    count?: number
+  ): RaiClient.ActionResponse<D, "account_history">;
+  account_history(
+    ...args: RaiClient.WithCallback<[string, number?], D, "account_history">
+  ): void;
+  account_list(wallet: string): RaiClient.ActionResponse<D, "account_list">;
+  account_list(
+    ...args: RaiClient.WithCallback<[string], D, "account_list">
+  ): void;
+  account_move(
+    wallet: string,
+    source: string,
+    accounts?: string[]
+  ): RaiClient.ActionResponse<D, "account_move">;
+  account_move(
+    ...args: RaiClient.WithCallback<
+      [string, string, string[]?],
+      D,
+      "account_move"
+    >
+  ): void;
+  account_key(account: string): RaiClient.ActionResponse<D, "account_key">;
+  account_key(
+    ...args: RaiClient.WithCallback<[string], D, "account_key">
+  ): void;
+  account_remove(
+    wallet: string,
+    account: string
+  ): RaiClient.ActionResponse<D, "account_remove">;
+  account_remove(
+    ...args: RaiClient.WithCallback<[string, string], D, "account_remove">
+  ): void;
+  account_representative(
+    account: string
+  ): RaiClient.ActionResponse<D, "account_representative">;
+  account_representative(
+    ...args: RaiClient.WithCallback<[string], D, "account_representative">
+  ): void;
+  account_representative_set(
+    wallet: string,
+    account: string,
+    representative: string,
+    work?: boolean | string
+  ): RaiClient.ActionResponse<D, "account_representative_set">;
+  account_representative_set(
+    ...args: RaiClient.WithCallback<
+      [string, string, string, (boolean | string)?],
+      D,
+      "account_representative_set"
+    >
+  ): void;
+  account_weight(
+    account: string
+  ): RaiClient.ActionResponse<D, "account_weight">;
+  account_weight(
+    ...args: RaiClient.WithCallback<[string], D, "account_weight">
+  ): void;
+  accounts_balances(
+    accounts: string[]
+  ): RaiClient.ActionResponse<D, "accounts_balances">;
+  accounts_balances(
+    ...args: RaiClient.WithCallback<[string[]], D, "accounts_balances">
+  ): void;
+  accounts_create(
+    wallet: string,
+    count?: number,
+    work?: boolean
+  ): RaiClient.ActionResponse<D, "accounts_create">;
+  accounts_create(
+    ...args: RaiClient.WithCallback<
+      [string, number?, boolean?],
+      D,
+      "accounts_create"
+    >
+  ): void;
+  accounts_frontiers(
+    accounts: string[]
+  ): RaiClient.ActionResponse<D, "accounts_frontiers">;
+  accounts_frontiers(
+    ...args: RaiClient.WithCallback<[string[]], D, "accounts_frontiers">
+  ): void;
+  accounts_pending(
+    accounts: string[],
+    count?: number,
+    threshold?: RaiClient.Amount,
+    source?: boolean
+  ): RaiClient.ActionResponse<D, "accounts_pending">;
+  accounts_pending(
+    ...args: RaiClient.WithCallback<
+      [string[], number?, RaiClient.Amount?, boolean?],
+      D,
+      "accounts_pending"
+    >
+  ): void;
+  available_supply(): RaiClient.ActionResponse<D, "available_supply">;
+  available_supply(
+    ...args: RaiClient.WithCallback<[], D, "available_supply">
+  ): void;
+  block(hash: string): RaiClient.ActionResponse<D, "block">;
+  block(...args: RaiClient.WithCallback<[string], D, "block">): void;
+  blocks(hashes: string[]): RaiClient.ActionResponse<D, "blocks">;
+  blocks(...args: RaiClient.WithCallback<[string[]], D, "blocks">): void;
+  blocks_info(
+    hashes: string[],
+    source?: boolean,
+    pending?: boolean
+  ): RaiClient.ActionResponse<D, "blocks_info">;
+  blocks_info(
+    ...args: RaiClient.WithCallback<
+      [string[], boolean?, boolean?],
+      D,
+      "blocks_info"
+    >
+  ): void;
+  block_account(hash: string): RaiClient.ActionResponse<D, "block_account">;
+  block_account(
+    ...args: RaiClient.WithCallback<[string], D, "block_account">
+  ): void;
+  block_count(): RaiClient.ActionResponse<D, "block_count">;
+  block_count(...args: RaiClient.WithCallback<[], D, "block_count">): void;
+  block_count_type(): RaiClient.ActionResponse<D, "block_count_type">;
+  block_count_type(
+    ...args: RaiClient.WithCallback<[], D, "block_count_type">
+  ): void;
+  version(): RaiClient.ActionResponse<D, "version">;
+  version(...args: RaiClient.WithCallback<[], D, "version">): void;
+  peers(): RaiClient.ActionResponse<D, "peers">;
+  peers(...args: RaiClient.WithCallback<[], D, "peers">): void;
+  unchecked(count?: number): RaiClient.ActionResponse<D, "unchecked">;
+  unchecked(...args: RaiClient.WithCallback<[number?], D, "unchecked">): void;
+  unchecked_get(hash: string): RaiClient.ActionResponse<D, "unchecked_get">;
+  unchecked_get(
+    ...args: RaiClient.WithCallback<[string], D, "unchecked_get">
+  ): void;
+  unchecked_keys(
+    key: string,
+    count?: number
+  ): RaiClient.ActionResponse<D, "unchecked_keys">;
+  unchecked_keys(
+    ...args: RaiClient.WithCallback<[string, number?], D, "unchecked_keys">
+  ): void;
+  unchecked_clear(): RaiClient.ActionResponse<D, "unchecked_clear">;
+  unchecked_clear(
+    ...args: RaiClient.WithCallback<[], D, "unchecked_clear">
+  ): void;
+  confirmation_history(): RaiClient.ActionResponse<D, "confirmation_history">;
+  confirmation_history(
+    ...args: RaiClient.WithCallback<[], D, "confirmation_history">
+  ): void;
+  stats(
+    type?: "counters" | "samples" | "objects"
+  ): RaiClient.ActionResponse<D, "stats">;
+  stats(
+    ...args: RaiClient.WithCallback<
+      [("counters" | "samples" | "objects")?],
+      D,
+      "stats"
+    >
+  ): void;
+  bootstrap_status(): RaiClient.ActionResponse<D, "bootstrap_status">;
+  bootstrap_status(
+    ...args: RaiClient.WithCallback<[], D, "bootstrap_status">
+  ): void;
+  node_id(): RaiClient.ActionResponse<D, "node_id">;
+  node_id(...args: RaiClient.WithCallback<[], D, "node_id">): void;
+  bootstrap(
+    address: string,
+    port: number
+  ): RaiClient.ActionResponse<D, "bootstrap">;
+  bootstrap(
+    ...args: RaiClient.WithCallback<[string, number], D, "bootstrap">
+  ): void;
+  bootstrap_any(): RaiClient.ActionResponse<D, "bootstrap_any">;
+  bootstrap_any(...args: RaiClient.WithCallback<[], D, "bootstrap_any">): void;
+  chain(block: string, count?: number): RaiClient.ActionResponse<D, "chain">;
+  chain(...args: RaiClient.WithCallback<[string, number?], D, "chain">): void;
+  delegators(account: string): RaiClient.ActionResponse<D, "delegators">;
+  delegators(...args: RaiClient.WithCallback<[string], D, "delegators">): void;
+  delegators_count(
+    account: string
+  ): RaiClient.ActionResponse<D, "delegators_count">;
+  delegators_count(
+    ...args: RaiClient.WithCallback<[string], D, "delegators_count">
+  ): void;
+  deterministic_key(
+    seed: string,
+    index: number
+  ): RaiClient.ActionResponse<D, "deterministic_key">;
+  deterministic_key(
+    ...args: RaiClient.WithCallback<[string, number], D, "deterministic_key">
+  ): void;
+  frontiers(
+    account: string,
+    count?: number
+  ): RaiClient.ActionResponse<D, "frontiers">;
+  frontiers(
+    ...args: RaiClient.WithCallback<[string, number?], D, "frontiers">
+  ): void;
+  frontiers_count(): RaiClient.ActionResponse<D, "frontiers_count">;
+  frontiers_count(
+    ...args: RaiClient.WithCallback<[], D, "frontiers_count">
+  ): void;
+  history(hash: string, count?: number): RaiClient.ActionResponse<D, "history">;
+  history(
+    ...args: RaiClient.WithCallback<[string, number?], D, "history">
+  ): void;
+
+  /** Walk the send/receive history of an account, frontier first. */
+  iterateAccountHistory(
+    account: string,
+    options?: RaiClient.IterateOptions
+  ): AsyncIterableIterator<RaiClient.HistoryEntry>;
+  /** Walk an account chain backwards, from block to the open block. */
+  iterateChain(
+    block: string,
+    options?: RaiClient.IterateOptions
+  ): AsyncIterableIterator<string>;
+  /** Walk the ledger, ordered by account. */
+  iterateLedger(
+    account?: string,
+    options?: RaiClient.IterateOptions & {
+      representative?: boolean;
+      weight?: boolean;
+      pending?: boolean;
+    }
+  ): AsyncIterableIterator<[string, RaiClient.AccountInfo]>;
+  /** Walk the frontiers of every account, ordered by account. */
+  iterateFrontiers(
+    account?: string,
+    options?: RaiClient.IterateOptions
+  ): AsyncIterableIterator<[string, string]>;
+
+  mrai_from_raw(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "mrai_from_raw">;
+  mrai_from_raw(
+    ...args: RaiClient.WithCallback<[RaiClient.Amount], D, "mrai_from_raw">
+  ): void;
+  mrai_to_raw(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "mrai_to_raw">;
+  mrai_to_raw(
+    ...args: RaiClient.WithCallback<[RaiClient.Amount], D, "mrai_to_raw">
+  ): void;
+  krai_from_raw(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "krai_from_raw">;
+  krai_from_raw(
+    ...args: RaiClient.WithCallback<[RaiClient.Amount], D, "krai_from_raw">
+  ): void;
+  krai_to_raw(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "krai_to_raw">;
+  krai_to_raw(
+    ...args: RaiClient.WithCallback<[RaiClient.Amount], D, "krai_to_raw">
+  ): void;
+  rai_from_raw(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "rai_from_raw">;
+  rai_from_raw(
+    ...args: RaiClient.WithCallback<[RaiClient.Amount], D, "rai_from_raw">
+  ): void;
+  rai_to_raw(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "rai_to_raw">;
+  rai_to_raw(
+    ...args: RaiClient.WithCallback<[RaiClient.Amount], D, "rai_to_raw">
+  ): void;
+
+  keepalive(
+    address: string,
+    port: number
+  ): RaiClient.ActionResponse<D, "keepalive">;
+  keepalive(
+    ...args: RaiClient.WithCallback<[string, number], D, "keepalive">
+  ): void;
+  key_create(): RaiClient.ActionResponse<D, "key_create">;
+  key_create(...args: RaiClient.WithCallback<[], D, "key_create">): void;
+  key_expand(key: string): RaiClient.ActionResponse<D, "key_expand">;
+  key_expand(...args: RaiClient.WithCallback<[string], D, "key_expand">): void;
+  ledger(
+    account: string,
+    count?: number,
+    representative?: boolean,
+    weight?: boolean,
+    pending?: boolean,
+    sorting?: boolean
+  ): RaiClient.ActionResponse<D, "ledger">;
+  ledger(
+    ...args: RaiClient.WithCallback<
+      [string, number?, boolean?, boolean?, boolean?, boolean?],
+      D,
+      "ledger"
+    >
+  ): void;
+  block_create(
+    type: RaiClient.BlockContents["type"],
+    key: string,
+    account?: string,
+    representative?: string,
+    source?: string,
+    previous?: string,
+    destination?: string,
+    balance?: RaiClient.Amount,
+    work?: boolean | string
+  ): RaiClient.ActionResponse<D, "block_create">;
+  block_create(
+    ...args: RaiClient.WithCallback<
+      [
+        RaiClient.BlockContents["type"],
+        string,
+        string?,
+        string?,
+        string?,
+        string?,
+        string?,
+        RaiClient.Amount?,
+        (boolean | string)?
+      ],
+      D,
+      "block_create"
+    >
+  ): void;
+  payment_init(wallet: string): RaiClient.ActionResponse<D, "payment_init">;
+  payment_init(
+    ...args: RaiClient.WithCallback<[string], D, "payment_init">
+  ): void;
+  payment_begin(wallet: string): RaiClient.ActionResponse<D, "payment_begin">;
+  payment_begin(
+    ...args: RaiClient.WithCallback<[string], D, "payment_begin">
+  ): void;
+  payment_wait(
+    account: string,
+    amount: RaiClient.Amount,
+    timeout: number
+  ): RaiClient.ActionResponse<D, "payment_wait">;
+  payment_wait(
+    ...args: RaiClient.WithCallback<
+      [string, RaiClient.Amount, number],
+      D,
+      "payment_wait"
+    >
+  ): void;
+  payment_end(
+    account: string,
+    wallet: string
+  ): RaiClient.ActionResponse<D, "payment_end">;
+  payment_end(
+    ...args: RaiClient.WithCallback<[string, string], D, "payment_end">
+  ): void;
+  process(
+    block: string | RaiClient.BlockContents,
+    work?: boolean
+  ): RaiClient.ActionResponse<D, "process">;
+  process(
+    ...args: RaiClient.WithCallback<
+      [string | RaiClient.BlockContents, boolean?],
+      D,
+      "process"
+    >
+  ): void;
+  receive(
+    wallet: string,
+    account: string,
+    block: string
+  ): RaiClient.ActionResponse<D, "receive">;
+  receive(
+    ...args: RaiClient.WithCallback<[string, string, string], D, "receive">
+  ): void;
+  receive_minimum(): RaiClient.ActionResponse<D, "receive_minimum">;
+  receive_minimum(
+    ...args: RaiClient.WithCallback<[], D, "receive_minimum">
+  ): void;
+  receive_minimum_set(
+    amount: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "receive_minimum_set">;
+  receive_minimum_set(
+    ...args: RaiClient.WithCallback<
+      [RaiClient.Amount],
+      D,
+      "receive_minimum_set"
+    >
+  ): void;
+  representatives(
+    count?: number,
+    sorting?: boolean
+  ): RaiClient.ActionResponse<D, "representatives">;
+  representatives(
+    ...args: RaiClient.WithCallback<[number?, boolean?], D, "representatives">
+  ): void;
+  wallet_representative(
+    wallet: string
+  ): RaiClient.ActionResponse<D, "wallet_representative">;
+  wallet_representative(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_representative">
+  ): void;
+  wallet_representative_set(
+    wallet: string,
+    representative: string
+  ): RaiClient.ActionResponse<D, "wallet_representative_set">;
+  wallet_representative_set(
+    ...args: RaiClient.WithCallback<
+      [string, string],
+      D,
+      "wallet_representative_set"
+    >
+  ): void;
+  wallet_create(): RaiClient.ActionResponse<D, "wallet_create">;
+  wallet_create(...args: RaiClient.WithCallback<[], D, "wallet_create">): void;
+  wallet_destroy(wallet: string): RaiClient.ActionResponse<D, "wallet_destroy">;
+  wallet_destroy(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_destroy">
+  ): void;
+  wallet_add(
+    wallet: string,
+    key: string,
+    work?: boolean
+  ): RaiClient.ActionResponse<D, "wallet_add">;
+  wallet_add(
+    ...args: RaiClient.WithCallback<[string, string, boolean?], D, "wallet_add">
+  ): void;
+  wallet_balance_total(
+    wallet: string
+  ): RaiClient.ActionResponse<D, "wallet_balance_total">;
+  wallet_balance_total(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_balance_total">
+  ): void;
+  wallet_balances(
+    wallet: string,
+    threshold?: RaiClient.Amount
+  ): RaiClient.ActionResponse<D, "wallet_balances">;
+  wallet_balances(
+    ...args: RaiClient.WithCallback<
+      [string, RaiClient.Amount?],
+      D,
+      "wallet_balances"
+    >
+  ): void;
+  wallet_contains(
+    wallet: string,
+    account: string
+  ): RaiClient.ActionResponse<D, "wallet_contains">;
+  wallet_contains(
+    ...args: RaiClient.WithCallback<[string, string], D, "wallet_contains">
+  ): void;
+  wallet_export(wallet: string): RaiClient.ActionResponse<D, "wallet_export">;
+  wallet_export(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_export">
+  ): void;
+  wallet_frontiers(
+    wallet: string
+  ): RaiClient.ActionResponse<D, "wallet_frontiers">;
+  wallet_frontiers(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_frontiers">
+  ): void;
+  wallet_pending(
+    wallet: string,
+    count?: number,
+    threshold?: RaiClient.Amount,
+    source?: boolean
+  ): RaiClient.ActionResponse<D, "wallet_pending">;
+  wallet_pending(
+    ...args: RaiClient.WithCallback<
+      [string, number?, RaiClient.Amount?, boolean?],
+      D,
+      "wallet_pending"
+    >
+  ): void;
+  wallet_republish(
+    wallet: string,
+    count?: number
+  ): RaiClient.ActionResponse<D, "wallet_republish">;
+  wallet_republish(
+    ...args: RaiClient.WithCallback<[string, number?], D, "wallet_republish">
+  ): void;
+  wallet_key_valid(
+    wallet: string
+  ): RaiClient.ActionResponse<D, "wallet_key_valid">;
+  wallet_key_valid(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_key_valid">
+  ): void;
+  wallet_change_seed(
+    wallet: string,
+    seed: string
+  ): RaiClient.ActionResponse<D, "wallet_change_seed">;
+  wallet_change_seed(
+    ...args: RaiClient.WithCallback<[string, string], D, "wallet_change_seed">
+  ): void;
+  wallet_locked(wallet: string): RaiClient.ActionResponse<D, "wallet_locked">;
+  wallet_locked(
+    ...args: RaiClient.WithCallback<[string], D, "wallet_locked">
+  ): void;
+  password_change(
+    wallet: string,
+    password: string
+  ): RaiClient.ActionResponse<D, "password_change">;
+  password_change(
+    ...args: RaiClient.WithCallback<[string, string], D, "password_change">
+  ): void;
+  password_enter(
+    wallet: string,
+    password: string
+  ): RaiClient.ActionResponse<D, "password_enter">;
+  password_enter(
+    ...args: RaiClient.WithCallback<[string, string], D, "password_enter">
+  ): void;
+  password_valid(wallet: string): RaiClient.ActionResponse<D, "password_valid">;
+  password_valid(
+    ...args: RaiClient.WithCallback<[string], D, "password_valid">
+  ): void;
+  republish(
+    hash: string,
+    count?: number,
+    sources?: number | null,
+    destinations?: number | null
+  ): RaiClient.ActionResponse<D, "republish">;
+  republish(
+    ...args: RaiClient.WithCallback<
+      [string, number?, (number | null)?, (number | null)?],
+      D,
+      "republish"
+    >
+  ): void;
+  search_pending(wallet: string): RaiClient.ActionResponse<D, "search_pending">;
+  search_pending(
+    ...args: RaiClient.WithCallback<[string], D, "search_pending">
+  ): void;
+  search_pending_all(): RaiClient.ActionResponse<D, "search_pending_all">;
+  search_pending_all(
+    ...args: RaiClient.WithCallback<[], D, "search_pending_all">
+  ): void;
+  send(
+    wallet: string,
+    source: string,
+    destination: string,
+    amount: RaiClient.Amount,
+    work?: boolean | string
+  ): RaiClient.ActionResponse<D, "send">;
+  send(
+    ...args: RaiClient.WithCallback<
+      [string, string, string, RaiClient.Amount, (boolean | string)?],
+      D,
+      "send"
+    >
+  ): void;
+  work_generate(hash: string): RaiClient.ActionResponse<D, "work_generate">;
+  work_generate(
+    ...args: RaiClient.WithCallback<[string], D, "work_generate">
+  ): void;
+  work_cancel(hash: string): RaiClient.ActionResponse<D, "work_cancel">;
+  work_cancel(
+    ...args: RaiClient.WithCallback<[string], D, "work_cancel">
+  ): void;
+  work_validate(
+    work: string,
+    hash: string
+  ): RaiClient.ActionResponse<D, "work_validate">;
+  work_validate(
+    ...args: RaiClient.WithCallback<[string, string], D, "work_validate">
+  ): void;
+  work_get(
+    wallet: string,
+    account: string
+  ): RaiClient.ActionResponse<D, "work_get">;
+  work_get(
+    ...args: RaiClient.WithCallback<[string, string], D, "work_get">
+  ): void;
+  work_set(
+    wallet: string,
+    account: string,
+    work: string
+  ): RaiClient.ActionResponse<D, "work_set">;
+  work_set(
+    ...args: RaiClient.WithCallback<[string, string, string], D, "work_set">
+  ): void;
+  work_peer_add(
+    address: string,
+    port: number
+  ): RaiClient.ActionResponse<D, "work_peer_add">;
+  work_peer_add(
+    ...args: RaiClient.WithCallback<[string, number], D, "work_peer_add">
+  ): void;
+  work_peers_clear(): RaiClient.ActionResponse<D, "work_peers_clear">;
+  work_peers_clear(
+    ...args: RaiClient.WithCallback<[], D, "work_peers_clear">
+  ): void;
+  stop(): RaiClient.ActionResponse<D, "stop">;
+  stop(...args: RaiClient.WithCallback<[], D, "stop">): void;
+}
+
+export = RaiClient;
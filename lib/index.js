@@ -1,7 +1,167 @@
-const net = require("net");
-const { URL } = require("url");
-const http = require("http");
-const https = require("https");
+const normalize = require("./normalize");
+const { createWorkProvider } = require("./work");
+const units = require("./units");
+const keys = require("./keys");
+const errors = require("./errors");
+const schema = require("./schema");
+const { createCache } = require("./cache");
+const { createBatcher } = require("./batch");
+const transports = require("./transport");
+
+/**
+ * Parameters holding a raw amount, per action. They accept anything
+ * `units.raw()` does (BigInt, "1.5 Mrai", ...) and are sent as raw strings.
+ */
+const AMOUNT_PARAMS = {
+  accounts_pending: ["threshold"],
+  block_create: ["balance"],
+  payment_wait: ["amount"],
+  receive_minimum_set: ["amount"],
+  send: ["amount"],
+  wallet_balances: ["threshold"],
+  wallet_pending: ["threshold"]
+};
+
+/**
+ * Local implementations of the unit conversion actions: [ratio, multiply].
+ */
+const CONVERTERS = {
+  mrai_from_raw: ["Mrai", false],
+  mrai_to_raw: ["Mrai", true],
+  krai_from_raw: ["krai", false],
+  krai_to_raw: ["krai", true],
+  rai_from_raw: ["rai", false],
+  rai_to_raw: ["rai", true]
+};
+
+/**
+ * Actions which change the node state. A retry after a lost response could
+ * run them twice, so they are never retried, whatever the options say.
+ */
+const NON_IDEMPOTENT_ACTIONS = [
+  "account_create",
+  "account_move",
+  "account_remove",
+  "account_representative_set",
+  "accounts_create",
+  "bootstrap",
+  "bootstrap_any",
+  "keepalive",
+  "password_change",
+  "payment_begin",
+  "payment_end",
+  "payment_init",
+  "process",
+  "receive",
+  "receive_minimum_set",
+  "search_pending",
+  "search_pending_all",
+  "send",
+  "stop",
+  "unchecked_clear",
+  "wallet_add",
+  "wallet_change_seed",
+  "wallet_create",
+  "wallet_destroy",
+  "wallet_representative_set",
+  "work_peer_add",
+  "work_peers_clear",
+  "work_set"
+];
+
+/**
+ * Default timeout and retry settings, see the constructor.
+ */
+const DEFAULT_CALL_OPTIONS = {
+  timeout: 0,
+  retries: 0,
+  retryDelay: 100,
+  maxRetryDelay: 10000,
+  jitter: true,
+  idempotent: undefined
+};
+
+function pickCallOptions(defaults, options) {
+  const result = Object.assign({}, defaults);
+  Object.keys(DEFAULT_CALL_OPTIONS).forEach(name => {
+    if (options[name] !== undefined) {
+      result[name] = options[name];
+    }
+  });
+  // The `cache` option of the constructor sets the cache up, a false one
+  // here skips it for the calls of a view.
+  if (options.cache === false) {
+    result.cache = false;
+  }
+  return result;
+}
+
+/**
+ * The account of the zero public key, which sorts before every other one.
+ */
+const FIRST_ACCOUNT =
+  "xrb_1111111111111111111111111111111111111111111111111111hifc8npp";
+
+/**
+ * Default page size of the `iterate*` methods.
+ */
+const DEFAULT_CHUNK = 100;
+
+/**
+ * @function paginate
+ * @description Walk a cursor based action page by page. Each page is asked
+ *              for one more item than it yields: that item's cursor is where
+ *              the next page starts. Nothing is fetched until the consumer
+ *              asks for the next item, and breaking out of the loop stops.
+ * @param {Number} chunk - How many items are yielded per page.
+ * @param {string} cursor - Where the first page starts.
+ * @param {Function} fetchPage - `(cursor, count, first)`, resolving with
+ *                               `[cursor, item]` pairs.
+ * @return {AsyncIterator}
+ */
+async function* paginate(chunk = DEFAULT_CHUNK, cursor, fetchPage) {
+  if (!Number.isInteger(chunk) || chunk < 1) {
+    throw new Error("Invalid chunk size: " + chunk);
+  }
+
+  let first = true;
+  while (true) {
+    const page = await fetchPage(cursor, chunk + 1, first);
+    for (const entry of page.slice(0, chunk)) {
+      yield entry[1];
+    }
+    if (page.length <= chunk) {
+      return;
+    }
+    cursor = page[chunk][0];
+    first = false;
+  }
+}
+
+/**
+ * @function callbackify
+ * @description Let a method take an optional error-first callback after its
+ *              arguments. The callback is taken off before calling the
+ *              method, so optional parameters before it keep their defaults,
+ *              and it's called on a later tick, so what it throws isn't
+ *              turned into a rejection. Without callback, the method
+ *              returns its promise as usual.
+ * @param {Function} method - A method returning a promise.
+ * @return {Function}
+ */
+function callbackify(method) {
+  return function(...args) {
+    if (typeof args[args.length - 1] !== "function") {
+      return method.apply(this, args);
+    }
+
+    const callback = args.pop();
+    new Promise(resolve => resolve(method.apply(this, args))).then(
+      result => setTimeout(() => callback(null, result)),
+      err => setTimeout(() => callback(err))
+    );
+  };
+}
 
 /**
  * @class RaiClient
@@ -15,96 +175,397 @@ class RaiClient {
    * @param {string} nodeAddress - The full address of the daemon node to connect to
    *                               Example1: 'http://mynodeurl:30400'
    *                               Example2: 'http://12.34.345.12:30400'
+   *                               Example3: 'unix:/var/run/rai/rpc.sock'
    * @param {bool} deserializeJSON - Whether to deserialize monero responses
    *                                 as JSON objects. Default to true.
+   * @param {Object} options - Optional settings:
+   *   - {string|Function|Object} workProvider: Where `send`, `process` and
+   *     `block_create` get their proof of work from when asked to. Either
+   *     "local" (CPU), `{ local: true, threshold }`, a work server URL, a
+   *     `(root) => work` callback or an object with a `generate(root)` method.
+   *   - {boolean} resolveErrors: Resolve with the node `{ error }` responses
+   *     instead of rejecting with an `RpcError`, like older versions did.
+   *   - {Number} timeout: Milliseconds before a request is aborted with a
+   *     `TimeoutError`. Default to 0, no timeout.
+   *   - {Number} retries: How many times a request failing with a transient
+   *     error (connection failure, timeout, 5xx status) is retried. Default to 0.
+   *   - {Number} retryDelay: Delay before the first retry, in milliseconds,
+   *     doubled on each retry. Default to 100.
+   *   - {Number} maxRetryDelay: Upper bound of the retry delay. Default to 10000.
+   *   - {boolean} jitter: Randomize each delay between half and all of it, so
+   *     clients don't retry in lockstep. Default to true.
+   *   - {Array|Function} idempotent: The actions safe to retry, as a list of
+   *     names or an `(action) => boolean` predicate. Default to every action
+   *     but those changing the node state, which are never retried.
+   *   - {boolean|Object} cache: Cache responses. Either true for the default
+   *     rules and in-memory store, or `{ store, max, ttl }`, see `./cache`.
+   *   - {boolean|Object} batch: Merge the single item calls made together,
+   *     like `account_balance` or `block`, into bulk requests. Either true, or
+   *     `{ window, maxSize }`, see `./batch`.
+   *   - {Object} transport: A transport, see `./transport`, or the settings
+   *     of the default one, an `HttpTransport` (`IpcTransport` for "unix:"
+   *     node addresses):
+   *     - {string|Buffer} ca, cert, key, pfx, passphrase, servername,
+   *       {boolean} rejectUnauthorized: TLS settings of HTTPS nodes, see
+   *       `tls.connect()`. `cert` and `key` are the client certificate.
+   *     - {Object} auth: `{ username, password }` for basic authentication,
+   *       or `{ bearer }` for a token, for nodes behind an authenticating
+   *       proxy. Credentials of the node URL are used otherwise.
+   *     - {Object} headers: Other headers sent with every request.
+   *     - {string} proxy: An "http://", "https://" or "socks5://" proxy URL,
+   *       with credentials if needed.
+   *     - {boolean} keepAlive: Reuse connections between requests. Default
+   *       to true.
+   *     - {Number} maxSockets: Connections open at once. Default to Infinity.
+   *   - {boolean} validate: Check the parameters against the action schemas
+   *     of `./schema` before sending, rejecting with a `ValidationError`
+   *     naming the bad one. Default to true.
    */
-  constructor(nodeAddress, deserializeJSON = true) {
+  constructor(nodeAddress, deserializeJSON = true, options = {}) {
     this.nodeAddress = nodeAddress;
     this.deserializeJSON = deserializeJSON;
+    this.resolveErrors = options.resolveErrors === true;
+    this.validate = options.validate !== false;
+    this.middleware = [];
+    this.callOptions = pickCallOptions(DEFAULT_CALL_OPTIONS, options);
+    this.cache = createCache(options.cache);
+    this.transport = transports.isTransport(options.transport)
+      ? options.transport
+      : transports.createTransport(nodeAddress, options.transport);
+
+    // Bulk requests are sent by a view of this client which doesn't batch.
+    // Its calls already went through the middleware one by one.
+    const direct = Object.create(this);
+    direct.batcher = null;
+    direct.middleware = [];
+    this.batcher = createBatcher(options.batch, direct);
+    // A work server gets the transport settings, timeouts and retries of
+    // this client. A transport instance is bound to the node, so it's not.
+    const workOptions = Object.assign({}, this.callOptions, {
+      transport: transports.isTransport(options.transport)
+        ? undefined
+        : options.transport
+    });
+    this.workProvider = createWorkProvider(
+      options.workProvider,
+      url => new RaiClient(url, true, workOptions)
+    );
+
+    // The node side unit conversions, kept to cross-check the local ones.
+    this.remote = {};
+    Object.keys(CONVERTERS).forEach(action => {
+      this.remote[action] = callbackify(amount =>
+        this._send(action, { amount })
+      );
+    });
+  }
+
+  /**
+   * @function withOptions
+   * @description Get a client sharing this one's settings, with some of the
+   *              timeout and retry options overridden, for a single call or
+   *              a group of calls.
+   *              Example: `client.withOptions({ timeout: 2000 }).block_count()`
+   * @param {Object} options - Any of `timeout`, `retries`, `retryDelay`,
+   *                           `maxRetryDelay`, `jitter` and `idempotent`,
+   *                           and `cache: false` to ask the node even when
+   *                           the response is cached. Changes are still
+   *                           dropped from the cache.
+   * @return {RaiClient}
+   */
+  withOptions(options) {
+    const client = Object.create(this);
+    client.callOptions = pickCallOptions(this.callOptions, options);
+    return client;
+  }
+
+  /**
+   * @function use
+   * @description Add a middleware, run around every call after those added
+   *              before it. It gets a `context`, `{ action, params, client }`,
+   *              and a `next()` function running the rest of the chain then
+   *              the request itself, and returns the result, or a promise of
+   *              it. So a middleware can change `context.params` before
+   *              `next()`, resolve without calling it, or transform what it
+   *              resolves or rejects with. The unit conversions computed
+   *              locally go through it too, their `next()` converting
+   *              instead of requesting.
+   *              Example: `client.use((context, next) => next().catch(...))`
+   * @param {Function} fn - `(context, next)`, the middleware.
+   * @return {RaiClient} This client, to chain calls.
+   */
+  use(fn) {
+    if (typeof fn !== "function") {
+      throw new TypeError("Middleware must be a function");
+    }
+    // A new list, so the middleware added to a view made by `withOptions()`
+    // don't run for the client it comes from.
+    this.middleware = this.middleware.concat([fn]);
+    return this;
   }
 
   /**
    * @function _send
    * @private
-   * @description Send the request to the daemon
+   * @description Run the middleware chain, then the request, before
+   *              `#_buildRPCReq`: the middleware see the parameters as the
+   *              method passed them.
+   * @param {string} method - the name of the RPC method
+   * @param {Object|Array} params - Parameters to be passed to the RPC method
+   * @param {Function} handle - What runs the call at the end of the chain,
+   *                            `(method, params)`. Default to `#_dispatch`,
+   *                            the local unit conversions use `#_convert`.
+   * @return {Promise}
+   */
+  _send(method, params = undefined, handle = this._dispatch) {
+    const middleware = this.middleware;
+    if (middleware.length === 0) {
+      return handle.call(this, method, params);
+    }
+
+    const context = { action: method, params, client: this };
+    const run = index =>
+      new Promise(resolve =>
+        resolve(
+          index === middleware.length
+            ? handle.call(this, method, context.params)
+            : middleware[index](context, () => run(index + 1))
+        )
+      );
+    return run(0);
+  }
+
+  /**
+   * @function _dispatch
+   * @private
+   * @description Send the request to the daemon, retrying transient failures
+   *              of idempotent actions.
    * @param {string} method - the name of the RPC method
    * @param {Object|Array} params - Parameters to be passed to the RPC method
    * @return {Promise} - A Promise which is resolved if the request succesfully
    *                      fetch the data, and rejected otherwise. Failure can happen
    *                      either because of a problem of the request, or before the
-   *                      request happen, when `JSON.stringify` fails
-   */
-  _send(method, params = undefined) {
-    return new Promise((resolve, reject) => {
-      var req = {};
-      try {
-        req = this._buildRPCReq(method, params);
-      } catch (err) {
-        return reject(err);
+   *                      request happen, when `JSON.stringify` fails, or when the
+   *                      node answers with an error: see `./errors`.
+   */
+  _dispatch(method, params = undefined) {
+    var req = {};
+    try {
+      req = this._buildRPCReq(method, params);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const idempotent = this._isIdempotent(method);
+    const retries = idempotent ? this.callOptions.retries : 0;
+    const attempt = count =>
+      this._request(req, method, params).catch(err => {
+        err.attempts = count + 1;
+        if (count >= retries || !errors.isTransient(err)) {
+          throw err;
+        }
+        return new Promise(resolve =>
+          setTimeout(resolve, this._retryDelay(count))
+        ).then(() => attempt(count + 1));
+      });
+
+    const fetch = () =>
+      this.batcher && this.batcher.handles(method)
+        ? this.batcher.add(method, params, this.callOptions)
+        : attempt(0);
+
+    if (!this.cache) {
+      return fetch();
+    }
+    return this._cached(req, method, params, fetch);
+  }
+
+  /**
+   * @function _cached
+   * @private
+   * @description Serve a request from the cache when its action is cached,
+   *              and drop the entries of the accounts it changes.
+   * @param {Object} req - The request built by `#_buildRPCReq`.
+   * @param {string} method - the name of the RPC method
+   * @param {Object|Array} params - Parameters to be passed to the RPC method
+   * @param {Function} fetch - Sends the request to the node.
+   * @return {Promise}
+   */
+  _cached(req, method, params = {}, fetch) {
+    // Unlike retries, this doesn't depend on the `idempotent` option.
+    const changesState = NON_IDEMPOTENT_ACTIONS.indexOf(method) !== -1;
+    const ttl =
+      this.callOptions.cache === false
+        ? 0
+        : this.cache.ttl(method, params, changesState);
+    if (ttl === 0) {
+      // Even when it failed, the action may have gone through.
+      const invalidate = () => this.cache.invalidate(method, params);
+      return fetch().then(
+        res => invalidate().then(() => res),
+        err =>
+          invalidate().then(() => {
+            throw err;
+          })
+      );
+    }
+
+    return this.cache.get(req.body).then(hit => {
+      if (hit !== undefined) {
+        return this.deserializeJSON ? JSON.parse(hit) : hit;
       }
 
-      // Take HTTPS urls in consideration.
-      const url = new URL(req.url);
-      const lib = url.protocol === "https" ? https : http;
-      const requestOptions = {
-        hostname: url.hostname,
-        port: url.port,
-        method: "POST",
-        path: url.pathname
-      };
-
-      const request = lib.request(requestOptions, response => {
-        if (response.statusCode < 200 || response.statusCode > 299) {
-          reject(
-            new Error(
-              "Failed to fetch URL. Status code: " + response.statusCode
-            )
-          );
+      return fetch().then(res => {
+        let parsed;
+        try {
+          parsed = typeof res === "string" ? JSON.parse(res) : res;
+        } catch (e) {
+          return res;
+        }
+        // Errors resolved because of `resolveErrors` aren't cached.
+        if (!parsed || parsed.error !== undefined) {
+          return res;
         }
 
-        const body = [];
+        const data = typeof res === "string" ? res : JSON.stringify(res);
+        return this.cache.set(req.body, data, ttl, params).then(() => res);
+      });
+    });
+  }
+
+  /**
+   * @function _request
+   * @private
+   * @description Make a single request to the daemon, through the transport.
+   * @param {Object} req - The request built by `#_buildRPCReq`.
+   * @param {string} method - the name of the RPC method
+   * @param {Object|Array} params - Parameters to be passed to the RPC method
+   * @return {Promise}
+   */
+  _request(req, method, params) {
+    const details = extra => Object.assign({ action: method, params }, extra);
+    // Node < 15 has no AbortController: timeouts still reject, but the
+    // transport isn't told to give up.
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+
+    let timer = null;
+    const timeout = this.callOptions.timeout;
+    const timedOut = new Promise((resolve, reject) => {
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          const err = new errors.TimeoutError(
+            "Request timed out after " + timeout + "ms",
+            details({ timeout })
+          );
+          // The response may have started already, reject in any case.
+          reject(err);
+          if (controller) {
+            controller.abort(err);
+          }
+        }, timeout);
+      }
+    });
 
-        response.on("data", chunk => {
-          body.push(chunk);
-        });
+    const sent = Promise.resolve().then(() =>
+      this.transport.request(req.body, {
+        signal: controller ? controller.signal : undefined
+      })
+    );
+    return Promise.race([sent, timedOut]).then(
+      response => {
+        clearTimeout(timer);
+        const data = response.body;
 
-        response.on("end", () => {
-          const data = body.join("");
+        if (response.statusCode < 200 || response.statusCode > 299) {
+          throw new errors.TransportError(
+            "Failed to fetch URL. Status code: " + response.statusCode,
+            details({ response: data, statusCode: response.statusCode })
+          );
+        }
 
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
           if (!this.deserializeJSON) {
-            return resolve(data);
+            return data;
           }
+          throw new errors.ParseError(
+            "Invalid JSON response: " + e.message,
+            details({ response: data, cause: e })
+          );
+        }
 
-          try {
-            return resolve(JSON.parse(data));
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
+        if (parsed && parsed.error !== undefined && !this.resolveErrors) {
+          throw errors.fromResponse(method, params, parsed);
+        }
+        return this.deserializeJSON ? parsed : data;
+      },
+      e => {
+        clearTimeout(timer);
+        throw e instanceof errors.RpcError
+          ? e
+          : new errors.TransportError(e.message, details({ cause: e }));
+      }
+    );
+  }
 
-      request.on("error", e => {
-        reject(e);
-      });
+  /**
+   * @function _isIdempotent
+   * @private
+   * @description Whether an action is safe to retry automatically.
+   * @param {string} action - A given RPC action.
+   * @return {boolean}
+   */
+  _isIdempotent(action) {
+    if (NON_IDEMPOTENT_ACTIONS.indexOf(action) !== -1) {
+      return false;
+    }
 
-      request.write(req.body);
-      request.end();
-    });
+    const idempotent = this.callOptions.idempotent;
+    if (typeof idempotent === "function") {
+      return Boolean(idempotent(action));
+    }
+    if (Array.isArray(idempotent)) {
+      return idempotent.indexOf(action) !== -1;
+    }
+    return true;
+  }
+
+  /**
+   * @function _retryDelay
+   * @private
+   * @description Exponential backoff, with jitter when enabled.
+   * @param {Number} count - How many retries were already made.
+   * @return {Number} The delay before the next retry, in milliseconds.
+   */
+  _retryDelay(count) {
+    const { retryDelay, maxRetryDelay, jitter } = this.callOptions;
+    const delay = Math.min(maxRetryDelay, retryDelay * 2 ** count);
+    return jitter ? delay / 2 + (Math.random() * delay) / 2 : delay;
   }
 
   /**
    * @function _buildRPCReq
    * @private
-   * @description Create an RPC request object to be later used by `#_send`.
+   * @description Create an RPC request object to be later used by `#_dispatch`.
    * @param {string} action - A given RPC action.
    * @param {Object|Array} params - Parameters to be passed to the RPC daemon
    * @return {Object} Returns an object containing the request (url, body).
+   * @throws {ValidationError} When a parameter doesn't match the action schema.
    */
   _buildRPCReq(action, params) {
     const req = {};
     const payload = null;
 
+    if (this.validate) {
+      schema.validate(action, params);
+    }
+
     req.url = this.nodeAddress + "/";
+    const amounts =
+      typeof params === "undefined" ? {} : this._rawAmounts(action, params);
 
     try {
       if (typeof params === "undefined") {
@@ -112,7 +573,8 @@ class RaiClient {
       } else {
         req.body = JSON.stringify({
           action: action,
-          ...params
+          ...params,
+          ...amounts
         });
       }
       return req;
@@ -121,6 +583,103 @@ class RaiClient {
     }
   }
 
+  /**
+   * @function _rawAmounts
+   * @private
+   * @description Convert the amount parameters of an action to raw strings.
+   * @param {string} action - A given RPC action.
+   * @param {Object} params - Parameters to be passed to the RPC daemon
+   * @return {Object} The converted parameters.
+   */
+  _rawAmounts(action, params) {
+    const amounts = {};
+    (AMOUNT_PARAMS[action] || []).forEach(name => {
+      if (params[name] !== undefined && params[name] !== null) {
+        amounts[name] = units.raw(params[name]);
+      }
+    });
+    return amounts;
+  }
+
+  /**
+   * @function _convert
+   * @private
+   * @description Run a unit conversion action locally. The result is the same
+   *              as the node one, including the integer division.
+   * @param {string} action - One of the `*_from_raw` / `*_to_raw` actions.
+   * @param {Object} params - `{ amount }`, the amount to be converted.
+   * @return {Promise}
+   */
+  _convert(action, params) {
+    const { amount } = params;
+    const [unit, multiply] = CONVERTERS[action];
+    const ratio = 10n ** BigInt(units.decimals(unit));
+
+    let data;
+    try {
+      const value = BigInt(units.toRaw(amount));
+      data = { amount: (multiply ? value * ratio : value / ratio).toString() };
+    } catch (e) {
+      data = { error: "Bad amount number" };
+      if (!this.resolveErrors) {
+        return Promise.reject(errors.fromResponse(action, params, data));
+      }
+    }
+
+    return Promise.resolve(this.deserializeJSON ? data : JSON.stringify(data));
+  }
+
+  /**
+   * @function _query
+   * @private
+   * @description Send a request whose result is needed by the client itself,
+   *              regardless of `deserializeJSON`.
+   * @param {string} action - A given RPC action.
+   * @param {Object} params - Parameters to be passed to the RPC daemon
+   * @return {Promise<Object>} Resolves with the parsed response, rejects when
+   *                           the node answers with an error.
+   */
+  _query(action, params) {
+    return this._send(action, params).then(res => {
+      const data = typeof res === "string" ? JSON.parse(res) : res;
+      if (data.error) {
+        throw errors.fromResponse(action, params, data);
+      }
+      return data;
+    });
+  }
+
+  /**
+   * @function _work
+   * @private
+   * @description Get a proof of work for a block root from the work provider.
+   * @param {string} root - The previous block hash, or the account public key
+   *                        for the first block of an account.
+   * @return {Promise<string>}
+   */
+  _work(root) {
+    if (!this.workProvider) {
+      return Promise.reject(new Error("No work provider configured"));
+    }
+    return this.workProvider.generate(root);
+  }
+
+  /**
+   * @function _blockRoot
+   * @private
+   * @description Find the root of a block: its previous hash, or the public
+   *              key of its account when it opens the account.
+   * @param {string} previous - The previous block hash, if any.
+   * @param {string} account - The XRB account address of the block.
+   * @return {Promise<string>}
+   */
+  _blockRoot(previous, account) {
+    if (previous && !/^0+$/.test(previous)) {
+      return Promise.resolve(previous);
+    }
+    return new Promise(resolve => resolve(keys.decodeAccount(account)));
+  }
+
   /**
    * Returns how many RAW is owned and how many have not yet been received by account.
    *
@@ -172,6 +731,7 @@ class RaiClient {
 
   /**
    * Get account number for the public key
+   * `keys.encodeAccount()` does the same offline.
    * @param {string} key - An XRB public key.
    */
   account_get(key) {
@@ -208,6 +768,7 @@ class RaiClient {
 
   /**
    * Get the public key for account
+   * `keys.decodeAccount()` does the same offline.
    * @param {string} account - AAn XRB account.
    */
   account_key(account) {
@@ -270,10 +831,11 @@ class RaiClient {
    * @enable_control required, version 8.1+
    * @param {string} wallet - An XRB Wallet.
    * @param {Number} count - A number of accounts to generate (defaults to 1).
-   * @param {boolean} work - Disables work generation after creating account (v8.1+)
+   * @param {boolean} work - Whether to generate work for the new accounts,
+   *                         sent as is (v8.1+). Default to false.
    */
-  accounts_create(accounts, count = 1, work = false) {
-    return this._send("accounts_create", { accounts, count });
+  accounts_create(wallet, count = 1, work = false) {
+    return this._send("accounts_create", { wallet, count, work });
   }
 
   /**
@@ -288,15 +850,11 @@ class RaiClient {
    * Creates new accounts, insert next deterministic keys in wallet up to count
    * @param {Array<string>} accounts - A list of XRB account address.
    * @param {Number} count
-   * @param {Number} threshold - Returns a list of pending block hashes with amount more or equal to threshold (v8.1+)
+   * @param {string} threshold - Returns a list of pending block hashes with amount more or equal to threshold (v8.1+)
+   *                             (defaults to 1 rai)
    * @param {boolean} source - Returns a list of pending block hashes with amount and source accounts (v8.1+)
    */
-  accounts_pending(
-    accounts,
-    count = 1,
-    threshold = 1000000000000000000000000,
-    source = false
-  ) {
+  accounts_pending(accounts, count = 1, threshold = "1 rai", source = false) {
     return this._send("accounts_pending", {
       accounts,
       count,
@@ -358,6 +916,90 @@ class RaiClient {
     return this._send("block_count_type");
   }
 
+  /**
+   * Returns the node version: RPC, store & vendor.
+   * Counters are returned as numbers.
+   */
+  version() {
+    return this._send("version").then(normalize.version);
+  }
+
+  /**
+   * Returns a list of the node peers, as `{ address, port, protocol_version }`
+   */
+  peers() {
+    return this._send("peers").then(normalize.peers);
+  }
+
+  /**
+   * Returns a list of block hashes & parsed contents which have not passed consistency checks
+   * @param {Number} count - Max count of items to return. (defaults to 1)
+   */
+  unchecked(count = 1) {
+    return this._send("unchecked", { count }).then(normalize.unchecked);
+  }
+
+  /**
+   * Retrieves the parsed contents of an unchecked block
+   * @param {string} hash - A block hash.
+   */
+  unchecked_get(hash) {
+    return this._send("unchecked_get", { hash }).then(normalize.uncheckedGet);
+  }
+
+  /**
+   * Retrieves unchecked database keys, blocks hashes & parsed contents starting at key
+   * @param {string} key - The database key to start at.
+   * @param {Number} count - Max count of items to return. (defaults to 1)
+   */
+  unchecked_keys(key, count = 1) {
+    return this._send("unchecked_keys", { key, count }).then(
+      normalize.uncheckedKeys
+    );
+  }
+
+  /**
+   * Clear unchecked synchronizing blocks. Resolves with `{ success: true }`.
+   * @enable_control required
+   */
+  unchecked_clear() {
+    return this._send("unchecked_clear").then(normalize.success);
+  }
+
+  /**
+   * Returns hash & tally weight for recent elections winners
+   * @version 11.0+
+   */
+  confirmation_history() {
+    return this._send("confirmation_history").then(
+      normalize.confirmationHistory
+    );
+  }
+
+  /**
+   * Returns the node statistics, with counters as numbers
+   * @param {string} type - One of "counters", "samples" or "objects". (defaults to "counters")
+   */
+  stats(type = "counters") {
+    return this._send("stats", { type }).then(normalize.stats);
+  }
+
+  /**
+   * Returns information about the current bootstrap attempt, with counters
+   * as numbers and flags as booleans
+   */
+  bootstrap_status() {
+    return this._send("bootstrap_status").then(normalize.bootstrapStatus);
+  }
+
+  /**
+   * Derive the private key, public key & node ID of the node
+   * @enable_control required
+   */
+  node_id() {
+    return this._send("node_id");
+  }
+
   /**
    * Initialize bootstrap to specific IP address and port
    * @param {string} address - A valid network IP address.
@@ -401,6 +1043,7 @@ class RaiClient {
 
   /**
    * Derive deterministic keypair from seed based on index
+   * `keys.deterministicKey()` does the same offline.
    * @param {string} seed - A string used as a seed for deterministic generation.
    * @param {Number} index - Used to derive the key.
    */
@@ -433,52 +1076,137 @@ class RaiClient {
     return this._send("history", { hash, count });
   }
 
+  /**
+   * Walk the send/receive history of an account, from its frontier back to
+   * its open block. Pages are only fetched when the loop asks for more.
+   * Example: `for await (const entry of client.iterateAccountHistory(account))`
+   * @param {string} account - The XRB account address.
+   * @param {Object} options - Optional settings:
+   *   - {Number} chunk: How many entries are fetched per request. (defaults to 100)
+   * @return {AsyncIterator<Object>} The `account_history` entries.
+   */
+  iterateAccountHistory(account, options = {}) {
+    return paginate(options.chunk, account, (cursor, count, first) =>
+      (first
+        ? this._query("account_history", { account: cursor, count })
+        : this._query("history", { hash: cursor, count })
+      ).then(res => (res.history || []).map(entry => [entry.hash, entry]))
+    );
+  }
+
+  /**
+   * Walk an account chain backwards, from block to the open block.
+   * @param {string} block - The block hash to start from, usually a frontier.
+   * @param {Object} options - Optional settings:
+   *   - {Number} chunk: How many hashes are fetched per request. (defaults to 100)
+   * @return {AsyncIterator<string>} The block hashes, block included.
+   */
+  iterateChain(block, options = {}) {
+    return paginate(options.chunk, block, (cursor, count) =>
+      this._query("chain", { block: cursor, count }).then(res =>
+        (res.blocks || []).map(hash => [hash, hash])
+      )
+    );
+  }
+
+  /**
+   * Walk the ledger, ordered by account.
+   * @enable_control required, version 8.1+
+   * @param {string} account - The XRB account address to start at. (defaults to the first)
+   * @param {Object} options - Optional settings:
+   *   - {Number} chunk: How many accounts are fetched per request. (defaults to 100)
+   *   - {boolean} representative, weight, pending: Like `ledger`.
+   * @return {AsyncIterator<Array>} `[account, info]` pairs.
+   */
+  iterateLedger(account = FIRST_ACCOUNT, options = {}) {
+    const flags = {
+      representative: options.representative === true,
+      weight: options.weight === true,
+      pending: options.pending === true
+    };
+    return paginate(options.chunk, account, (cursor, count) =>
+      this._query(
+        "ledger",
+        Object.assign({ account: cursor, count }, flags)
+      ).then(res =>
+        Object.keys(res.accounts || {}).map(key => [
+          key,
+          [key, res.accounts[key]]
+        ])
+      )
+    );
+  }
+
+  /**
+   * Walk the frontiers of every account, ordered by account.
+   * @param {string} account - The XRB account address to start at. (defaults to the first)
+   * @param {Object} options - Optional settings:
+   *   - {Number} chunk: How many frontiers are fetched per request. (defaults to 100)
+   * @return {AsyncIterator<Array>} `[account, frontier]` pairs.
+   */
+  iterateFrontiers(account = FIRST_ACCOUNT, options = {}) {
+    return paginate(options.chunk, account, (cursor, count) =>
+      this._query("frontiers", { account: cursor, count }).then(res =>
+        Object.keys(res.frontiers || {}).map(key => [
+          key,
+          [key, res.frontiers[key]]
+        ])
+      )
+    );
+  }
+
   /**
    * Divide a raw amount down by the Mrai ratio.
+   * Computed locally, `remote.mrai_from_raw()` asks the node instead.
    * @param {string} amount - An amount to be converted.
    */
   mrai_from_raw(amount) {
-    return this._send("mrai_from_raw", { amount });
+    return this._send("mrai_from_raw", { amount }, this._convert);
   }
 
   /**
    * Multiply an Mrai amount by the Mrai ratio.
+   * Computed locally, `remote.mrai_to_raw()` asks the node instead.
    * @param {string} amount - An amount to be converted.
    */
   mrai_to_raw(amount) {
-    return this._send("mrai_to_raw", { amount });
+    return this._send("mrai_to_raw", { amount }, this._convert);
   }
 
   /**
    * Divide a raw amount down by the krai ratio.
+   * Computed locally, `remote.krai_from_raw()` asks the node instead.
    * @param {string} amount - An amount to be converted.
    */
   krai_from_raw(amount) {
-    return this._send("krai_from_raw", { amount });
+    return this._send("krai_from_raw", { amount }, this._convert);
   }
 
   /**
    * Multiply an krai amount by the krai ratio.
+   * Computed locally, `remote.krai_to_raw()` asks the node instead.
    * @param {string} amount - An amount to be converted.
    */
   krai_to_raw(amount) {
-    return this._send("krai_to_raw", { amount });
+    return this._send("krai_to_raw", { amount }, this._convert);
   }
 
   /**
    * Divide a raw amount down by the rai ratio.
+   * Computed locally, `remote.rai_from_raw()` asks the node instead.
    * @param {string} amount - An amount to be converted.
    */
   rai_from_raw(amount) {
-    return this._send("rai_from_raw", { amount });
+    return this._send("rai_from_raw", { amount }, this._convert);
   }
 
   /**
    * Multiply an rai amount by the rai ratio.
+   * Computed locally, `remote.rai_to_raw()` asks the node instead.
    * @param {string} amount - An amount to be converted.
    */
   rai_to_raw(amount) {
-    return this._send("rai_to_raw", { amount });
+    return this._send("rai_to_raw", { amount }, this._convert);
   }
 
   /**
@@ -493,6 +1221,7 @@ class RaiClient {
 
   /**
    * Generates an adhoc random keypair
+   * `keys.createKey()` does the same offline.
    */
   key_create() {
     return this._send("key_create");
@@ -500,6 +1229,7 @@ class RaiClient {
 
   /**
    * Derive public key and account number from private key
+   * `keys.keyExpand()` does the same offline.
    * @param {string} key - A private key to derivate from.
    */
   key_expand(key) {
@@ -545,15 +1275,41 @@ class RaiClient {
    * @param {string} account - An XRB account.
    * @param {string} representative - An XRB representative account.
    * @param {string} source - A block source.
+   * @param {string} previous - The previous block hash (send, receive & change blocks).
+   * @param {string} destination - The XRB destination account (send blocks).
+   * @param {string} balance - The balance left after the block (send blocks), in raw or with a unit.
+   * @param {boolean|string} work - A work value, or true to get one from
+   *                                the work provider. (defaults to false, the node generates it)
    */
-  block_create(type, key, account, representative, source) {
-    return this._send("block_create", {
+  block_create(
+    type,
+    key,
+    account,
+    representative,
+    source,
+    previous,
+    destination,
+    balance,
+    work = false
+  ) {
+    const params = {
       type,
       key,
       account,
       representative,
-      source
-    });
+      source,
+      previous,
+      destination,
+      balance
+    };
+
+    if (work !== true) {
+      return this._send("block_create", { ...params, work: work || undefined });
+    }
+
+    return this._blockRoot(previous, account)
+      .then(root => this._work(root))
+      .then(work => this._send("block_create", { ...params, work }));
   }
 
   /**
@@ -580,7 +1336,7 @@ class RaiClient {
   /**
    * Wait for payment of 'amount' to arrive in 'account' or until 'timeout' milliseconds have elapsed.
    * @param {string} account - An XRB account address.
-   * @param {Number} amount - An amount of XRB.
+   * @param {string} amount - An amount, in raw or with a unit ("1.5 Mrai").
    * @param {Number} timeout - Timeout before stoping to wait.
    */
   payment_wait(account, amount, timeout) {
@@ -598,11 +1354,25 @@ class RaiClient {
 
   /**
    * Publish block to the network.
-   * @param {Object} block - A block to process. Format:
+   * @param {Object|string} block - A block to process. Format:
    * https://github.com/clemahieu/raiblocks/wiki/RPC-protocol#process-block
+   * @param {boolean} work - Fill the block `work` from the work provider
+   *                         before publishing it. (defaults to false)
    */
-  process(block) {
-    return this._send("process", { block });
+  process(block, work = false) {
+    if (!work) {
+      return this._send("process", { block });
+    }
+
+    const contents = typeof block === "string" ? JSON.parse(block) : block;
+    return this._blockRoot(contents.previous, contents.account)
+      .then(root => this._work(root))
+      .then(work => {
+        const signed = { ...contents, work };
+        return this._send("process", {
+          block: typeof block === "string" ? JSON.stringify(signed) : signed
+        });
+      });
   }
 
   /**
@@ -626,9 +1396,10 @@ class RaiClient {
   /**
    * Set amount as new receive minimum for node until restart
    * @enable_control required, version 8.0+
+   * @param {string} amount - The new receive minimum, in raw or with a unit ("1 Mrai").
    */
-  receive_minimum_set() {
-    return this._send("receive_minimum_set");
+  receive_minimum_set(amount) {
+    return this._send("receive_minimum_set", { amount });
   }
 
   /**
@@ -637,7 +1408,7 @@ class RaiClient {
    * @param {boolean} sorting - Sort the returned results by DESC.
    */
   representatives(count = 1, sorting = false) {
-    return this._send("representatives");
+    return this._send("representatives", { count, sorting });
   }
 
   /**
@@ -658,6 +1429,151 @@ class RaiClient {
     return this._send("wallet_representative_set", { wallet, representative });
   }
 
+  /**
+   * Creates a new random wallet id
+   * @enable_control required
+   */
+  wallet_create() {
+    return this._send("wallet_create");
+  }
+
+  /**
+   * Destroys wallet and all contained accounts
+   * @enable_control required
+   * @param {string} wallet - An XRB wallet address.
+   */
+  wallet_destroy(wallet) {
+    return this._send("wallet_destroy", { wallet });
+  }
+
+  /**
+   * Add an adhoc private key key to wallet
+   * @enable_control required
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} key - A private key to add.
+   * @param {boolean} work - Disables work generation after adding account (v8.1+)
+   */
+  wallet_add(wallet, key, work = true) {
+    return this._send("wallet_add", { wallet, key, work });
+  }
+
+  /**
+   * Returns the sum of all accounts balances in wallet
+   * @param {string} wallet - An XRB wallet address.
+   */
+  wallet_balance_total(wallet) {
+    return this._send("wallet_balance_total", { wallet });
+  }
+
+  /**
+   * Returns how many rai is owned and how many have not yet been received by all accounts in wallet
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} threshold - Returns only accounts with balance more or equal to threshold (v9+)
+   */
+  wallet_balances(wallet, threshold) {
+    return this._send("wallet_balances", { wallet, threshold });
+  }
+
+  /**
+   * Check whether wallet contains account
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} account - An XRB account address.
+   */
+  wallet_contains(wallet, account) {
+    return this._send("wallet_contains", { wallet, account });
+  }
+
+  /**
+   * Return a json representation of wallet
+   * @param {string} wallet - An XRB wallet address.
+   */
+  wallet_export(wallet) {
+    return this._send("wallet_export", { wallet });
+  }
+
+  /**
+   * Returns a list of pairs of account and block hash representing the head block starting for accounts from wallet
+   * @param {string} wallet - An XRB wallet address.
+   */
+  wallet_frontiers(wallet) {
+    return this._send("wallet_frontiers", { wallet });
+  }
+
+  /**
+   * Returns a list of block hashes which have not yet been received by accounts in this wallet
+   * @enable_control required, version 8.0+
+   * @param {string} wallet - An XRB wallet address.
+   * @param {Number} count - Max count of items to return per account. (defaults to 1)
+   * @param {string} threshold - Returns a list of pending block hashes with amount more or equal to threshold (v8.1+)
+   * @param {boolean} source - Returns a list of pending block hashes with amount and source accounts (v9+)
+   */
+  wallet_pending(wallet, count = 1, threshold, source = false) {
+    return this._send("wallet_pending", { wallet, count, threshold, source });
+  }
+
+  /**
+   * Rebroadcast blocks for accounts from wallet starting at frontier down to count to the network
+   * @enable_control required, version 8.0+
+   * @param {string} wallet - An XRB wallet address.
+   * @param {Number} count - Count of blocks to rebroadcast per account. (defaults to 1)
+   */
+  wallet_republish(wallet, count = 1) {
+    return this._send("wallet_republish", { wallet, count });
+  }
+
+  /**
+   * Returns if a wallet key is valid
+   * @param {string} wallet - An XRB wallet address.
+   */
+  wallet_key_valid(wallet) {
+    return this._send("wallet_key_valid", { wallet });
+  }
+
+  /**
+   * Changes seed for existing wallet to seed
+   * @enable_control required
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} seed - The new wallet seed.
+   */
+  wallet_change_seed(wallet, seed) {
+    return this._send("wallet_change_seed", { wallet, seed });
+  }
+
+  /**
+   * Checks whether wallet is locked
+   * @param {string} wallet - An XRB wallet address.
+   */
+  wallet_locked(wallet) {
+    return this._send("wallet_locked", { wallet });
+  }
+
+  /**
+   * Changes the password for wallet to password
+   * @enable_control required
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} password - The new wallet password.
+   */
+  password_change(wallet, password) {
+    return this._send("password_change", { wallet, password });
+  }
+
+  /**
+   * Enters the password in to wallet
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} password - The wallet password.
+   */
+  password_enter(wallet, password) {
+    return this._send("password_enter", { wallet, password });
+  }
+
+  /**
+   * Checks whether the password entered for wallet is valid
+   * @param {string} wallet - An XRB wallet address.
+   */
+  password_valid(wallet) {
+    return this._send("password_valid", { wallet });
+  }
+
   /**
    * Rebroadcast blocks starting at hash to the network
    * @param {string} hash - Hash of a block from which broadcast starts.
@@ -692,11 +1608,86 @@ class RaiClient {
    * @param {string} wallet - An XRB wallet address.
    * @param {string} source - An XRB account address.
    * @param {string} destination - The XRB destination account address.
-   * @param {Number} amount - An amount of XRB.
-   * @param {boolean} work - Uses work value for block from external source (v8.1+)
+   * @param {string} amount - An amount, in raw or with a unit ("1.5 Mrai").
+   * @param {boolean|string} work - Uses work value for block from external source (v8.1+).
+   *                                Pass true to get it from the work provider.
    */
   send(wallet, source, destination, amount, work = false) {
-    return this._send("send", { wallet, source, destination, amount, work });
+    const params = { wallet, source, destination, amount };
+    if (work !== true) {
+      return this._send("send", { ...params, work: work || undefined });
+    }
+
+    return this._query("accounts_frontiers", { accounts: [source] })
+      .then(res => this._blockRoot(res.frontiers[source], source))
+      .then(root => this._work(root))
+      .then(work => this._send("send", { ...params, work }));
+  }
+
+  /**
+   * Generates work for block
+   * @enable_control required
+   * @param {string} hash - The block root: previous block hash, or account public key for open blocks.
+   */
+  work_generate(hash) {
+    return this._send("work_generate", { hash });
+  }
+
+  /**
+   * Stop generating work for block
+   * @enable_control required
+   * @param {string} hash - The block root work is being generated for.
+   */
+  work_cancel(hash) {
+    return this._send("work_cancel", { hash });
+  }
+
+  /**
+   * Check whether work is valid for block
+   * @param {string} work - A work value.
+   * @param {string} hash - The block root.
+   */
+  work_validate(work, hash) {
+    return this._send("work_validate", { work, hash });
+  }
+
+  /**
+   * Retrieves work for account in wallet
+   * @enable_control required, version 8.0+
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} account - An XRB account address.
+   */
+  work_get(wallet, account) {
+    return this._send("work_get", { wallet, account });
+  }
+
+  /**
+   * Set work for account in wallet
+   * @enable_control required, version 8.0+
+   * @param {string} wallet - An XRB wallet address.
+   * @param {string} account - An XRB account address.
+   * @param {string} work - A work value.
+   */
+  work_set(wallet, account, work) {
+    return this._send("work_set", { wallet, account, work });
+  }
+
+  /**
+   * Add specific IP address and port as work peer for node until restart
+   * @enable_control required, version 8.0+
+   * @param {string} address - A valid network IP address.
+   * @param {Number} port - A valid network port.
+   */
+  work_peer_add(address, port) {
+    return this._send("work_peer_add", { address, port });
+  }
+
+  /**
+   * Clear work peers node list until restart
+   * @enable_control required, version 8.0+
+   */
+  work_peers_clear() {
+    return this._send("work_peers_clear");
   }
 
   /**
@@ -708,4 +1699,22 @@ class RaiClient {
   }
 }
 
+// Every action also takes an optional `(err, result)` callback last.
+Object.getOwnPropertyNames(RaiClient.prototype)
+  .filter(
+    name =>
+      ["constructor", "withOptions", "use"].indexOf(name) === -1 &&
+      !/^(_|iterate)/.test(name)
+  )
+  .forEach(name => {
+    Object.defineProperty(RaiClient.prototype, name, {
+      value: callbackify(RaiClient.prototype[name]),
+      writable: true,
+      configurable: true
+    });
+  });
+
+RaiClient.errors = errors;
+RaiClient.transports = transports;
+
 module.exports = RaiClient;
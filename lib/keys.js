@@ -0,0 +1,162 @@
+const { blake2b } = require("blakejs");
+const nacl = require("tweetnacl-blake2b");
+const { fromHex, toHex, concat, equal } = require("./bytes");
+
+/**
+ * Offline account and key utilities: the same results as the `account_get`,
+ * `account_key`, `key_create`, `key_expand` and `deterministic_key` actions,
+ * without a node. Keys are 64 hex characters strings.
+ */
+
+const ALPHABET = "13456789abcdefghijkmnopqrstuwxyz";
+const ACCOUNT_REGEX = /^xrb[_-]([13][13456789abcdefghijkmnopqrstuwxyz]{59})$/;
+const HEX64_REGEX = /^[0-9A-Fa-f]{64}$/;
+
+function encodeBase32(bytes, bits) {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += byte.toString(2).padStart(8, "0");
+  }
+  binary = binary.padStart(bits, "0");
+
+  let result = "";
+  for (let i = 0; i < binary.length; i += 5) {
+    result += ALPHABET[parseInt(binary.substr(i, 5), 2)];
+  }
+  return result;
+}
+
+function decodeBase32(chars, bytes) {
+  let binary = "";
+  for (const char of chars) {
+    binary += ALPHABET.indexOf(char)
+      .toString(2)
+      .padStart(5, "0");
+  }
+  binary = binary.slice(binary.length - bytes * 8);
+
+  const result = new Uint8Array(bytes);
+  for (let i = 0; i < bytes; i++) {
+    result[i] = parseInt(binary.substr(i * 8, 8), 2);
+  }
+  return result;
+}
+
+function checksum(publicKey) {
+  return blake2b(publicKey, null, 5).reverse();
+}
+
+function keyBytes(key, name) {
+  if (typeof key !== "string" || !HEX64_REGEX.test(key)) {
+    throw new Error("Invalid " + name + ": " + key);
+  }
+  return fromHex(key);
+}
+
+/**
+ * @function encodeAccount
+ * @description Get the account address of a public key.
+ * @param {string} publicKey - An XRB public key.
+ * @return {string} The "xrb_" account address.
+ */
+function encodeAccount(publicKey) {
+  const key = keyBytes(publicKey, "public key");
+  return "xrb_" + encodeBase32(key, 260) + encodeBase32(checksum(key), 40);
+}
+
+/**
+ * @function decodeAccount
+ * @description Get the public key of an account address, checking its checksum.
+ * @param {string} account - An "xrb_" account address.
+ * @return {string} The public key.
+ */
+function decodeAccount(account) {
+  const match = ACCOUNT_REGEX.exec(account);
+  if (!match) {
+    throw new Error("Invalid account: " + account);
+  }
+
+  const key = decodeBase32(match[1].slice(0, 52), 32);
+  const expected = decodeBase32(match[1].slice(52), 5);
+  if (!equal(checksum(key), expected)) {
+    throw new Error("Invalid account checksum: " + account);
+  }
+  return toHex(key);
+}
+
+/**
+ * @function isValidAccount
+ * @param {string} account - Anything.
+ * @return {boolean} Whether account is a well formed address with a valid checksum.
+ */
+function isValidAccount(account) {
+  try {
+    decodeAccount(account);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @function publicKey
+ * @description Derive the ed25519-blake2b public key of a private key.
+ * @param {string} privateKey - An XRB private key.
+ * @return {string}
+ */
+function publicKey(privateKey) {
+  const key = keyBytes(privateKey, "private key");
+  return toHex(nacl.sign.keyPair.fromSeed(key).publicKey);
+}
+
+/**
+ * @function keyExpand
+ * @description Derive public key and account from a private key, like `key_expand`.
+ * @param {string} privateKey - An XRB private key.
+ * @return {Object} `{ private, public, account }`
+ */
+function keyExpand(privateKey) {
+  const pub = publicKey(privateKey);
+  return {
+    private: privateKey.toUpperCase(),
+    public: pub,
+    account: encodeAccount(pub)
+  };
+}
+
+/**
+ * @function deterministicKey
+ * @description Derive the keypair of a seed at index, like `deterministic_key`.
+ * @param {string} seed - A 64 hex characters seed.
+ * @param {Number} index - The key index, from 0 to 2^32 - 1.
+ * @return {Object} `{ private, public, account }`
+ */
+function deterministicKey(seed, index) {
+  const seedBytes = keyBytes(seed, "seed");
+  if (!Number.isInteger(Number(index)) || index < 0 || index > 0xffffffff) {
+    throw new Error("Invalid index: " + index);
+  }
+
+  const indexBytes = new Uint8Array(4);
+  new DataView(indexBytes.buffer).setUint32(0, Number(index));
+  return keyExpand(toHex(blake2b(concat([seedBytes, indexBytes]), null, 32)));
+}
+
+/**
+ * @function createKey
+ * @description Generate a random keypair, like `key_create`.
+ * @return {Object} `{ private, public, account }`
+ */
+function createKey() {
+  return keyExpand(toHex(nacl.randomBytes(32)));
+}
+
+module.exports = {
+  encodeAccount,
+  decodeAccount,
+  isValidAccount,
+  publicKey,
+  keyExpand,
+  deterministicKey,
+  createKey
+};
@@ -0,0 +1,1703 @@
+const http = require("http");
+const crypto = require("crypto");
+const { validateWork, generateWork } = require("./work");
+const keys = require("./keys");
+const blocks = require("./blocks");
+
+/**
+ * Ratios used by the unit conversion actions, expressed in raw.
+ */
+const MRAI_RATIO = 10n ** 30n;
+const KRAI_RATIO = 10n ** 27n;
+const RAI_RATIO = 10n ** 24n;
+
+/**
+ * The total amount of raw ever created by the genesis block.
+ */
+const GENESIS_AMOUNT = "340282366920938463463374607431768211455";
+
+const HEX64_REGEX = /^[0-9A-Fa-f]{64}$/;
+
+/**
+ * Work threshold of the mock node, much lower than the live network one so
+ * work can be generated in a few milliseconds.
+ */
+const WORK_THRESHOLD = "ff00000000000000";
+
+/**
+ * Actions refused by a node running without `enable_control`.
+ */
+const CONTROL_ACTIONS = [
+  "account_create",
+  "account_move",
+  "account_remove",
+  "account_representative_set",
+  "accounts_create",
+  "block_create",
+  "keepalive",
+  "ledger",
+  "node_id",
+  "receive",
+  "receive_minimum",
+  "receive_minimum_set",
+  "search_pending",
+  "search_pending_all",
+  "send",
+  "password_change",
+  "stop",
+  "unchecked_clear",
+  "wallet_add",
+  "wallet_change_seed",
+  "wallet_create",
+  "wallet_destroy",
+  "wallet_pending",
+  "wallet_representative_set",
+  "wallet_republish",
+  "work_cancel",
+  "work_generate",
+  "work_get",
+  "work_peer_add",
+  "work_peers_clear",
+  "work_set"
+];
+
+/**
+ * Thrown by action handlers to produce an `{ error }` response.
+ */
+class MockNodeError extends Error {}
+
+/**
+ * @class MockRaiNode
+ * @description An in-process RaiBlocks node speaking the same JSON RPC
+ *              protocol as the real daemon, backed by an in-memory ledger.
+ *              Meant for deterministic offline testing of `RaiClient`.
+ */
+class MockRaiNode {
+  /*
+   * @function constructor
+   * @description Build an instance of `MockRaiNode`
+   * @param {Object} options - Optional settings:
+   *   - {bool} enableControl: Whether control actions are allowed. Default to true.
+   *   - {string} availableSupply: Raw amount returned by `available_supply`.
+   *   - {string} receiveMinimum: Raw amount returned by `receive_minimum`.
+   *   - {string} workThreshold: Minimum work value, as 16 hex characters.
+   */
+  constructor(options = {}) {
+    this.enableControl = options.enableControl !== false;
+    this.availableSupply = options.availableSupply || GENESIS_AMOUNT;
+    this.receiveMinimum = options.receiveMinimum || RAI_RATIO.toString();
+    this.workThreshold = options.workThreshold || WORK_THRESHOLD;
+    this.server = null;
+    this.address = null;
+    this.reset();
+  }
+
+  /**
+   * @function reset
+   * @description Empty the ledger and the request log.
+   */
+  reset() {
+    this.accounts = new Map();
+    this.blocks = new Map();
+    this.wallets = new Map();
+    this.pending = new Map();
+    this.peers = new Map();
+    this.unchecked = new Map();
+    this.confirmations = [];
+    this.bootstrapAttempt = null;
+    this.nodeId = null;
+    this.workPeers = [];
+    this.requests = [];
+    this.stopped = false;
+    this._counter = 0;
+    this._clock = 1500000000;
+  }
+
+  /**
+   * @function start
+   * @description Start listening on localhost, or on a Unix domain socket.
+   * @param {Number|string} port - Port to listen on, or the socket path.
+   *                               Defaults to a random free port.
+   * @return {Promise<string>} Resolves with the node address, suitable for
+   *                           the `RaiClient` constructor.
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this._onRequest(req, res));
+      this.server.once("error", reject);
+      // Kept-alive connections would hold close() up on Node < 18.2.
+      const sockets = new Set();
+      this.server.on("connection", socket => {
+        sockets.add(socket);
+        socket.once("close", () => sockets.delete(socket));
+      });
+      this.server.sockets = sockets;
+      const listening = () => {
+        this.address =
+          typeof port === "string"
+            ? "unix:" + port
+            : "http://127.0.0.1:" + this.server.address().port;
+        resolve(this.address);
+      };
+      if (typeof port === "string") {
+        this.server.listen(port, listening);
+      } else {
+        this.server.listen(port, "127.0.0.1", listening);
+      }
+    });
+  }
+
+  /**
+   * @function close
+   * @description Stop listening and drop the open connections.
+   * @return {Promise}
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.sockets.forEach(socket => socket.destroy());
+    });
+  }
+
+  /**
+   * @function seed
+   * @description Load a whole state at once.
+   * @param {Object} state - Lists of `accounts`, `blocks`, `wallets`, `pending`,
+   *                         `peers`, `unchecked` and `confirmations`, each
+   *                         entry being the arguments object of the matching
+   *                         `add*` method.
+   * @return {MockRaiNode} this
+   */
+  seed(state = {}) {
+    (state.accounts || []).forEach(a => this.addAccount(a.account, a));
+    (state.blocks || []).forEach(b => this.addBlock(b.hash, b));
+    (state.wallets || []).forEach(w => this.addWallet(w.wallet, w));
+    (state.pending || []).forEach(p =>
+      this.addPending(p.account, p.hash, p.amount, p.source)
+    );
+    (state.peers || []).forEach(p =>
+      this.addPeer(p.endpoint, p.protocol_version)
+    );
+    (state.unchecked || []).forEach(u =>
+      this.addUnchecked(u.hash, u.contents, u.key)
+    );
+    (state.confirmations || []).forEach(c =>
+      this.addConfirmation(c.hash, c.tally)
+    );
+    return this;
+  }
+
+  /**
+   * @function addAccount
+   * @description Insert an opened account into the ledger. An open block is
+   *              created for it when `open_block` is not given.
+   * @param {string} account - The XRB account address.
+   * @param {Object} info - Optional `balance`, `representative`,
+   *                        `source` and `modified_timestamp`. Pass
+   *                        `open_block` (and `frontier`, `block_count`) to
+   *                        point at blocks added with `addBlock`.
+   * @return {Object} The stored account.
+   */
+  addAccount(account, info = {}) {
+    const entry = {
+      account,
+      balance: BigInt(info.balance || 0),
+      representative: info.representative || account,
+      modified_timestamp: String(info.modified_timestamp || this._tick()),
+      frontier: null,
+      open_block: null,
+      representative_block: null,
+      block_count: 0
+    };
+    this.accounts.set(account, entry);
+
+    if (info.open_block) {
+      entry.open_block = entry.representative_block = info.open_block;
+      entry.frontier = info.frontier || info.open_block;
+      entry.block_count = Number(info.block_count || 1);
+    } else {
+      this._appendBlock(
+        entry,
+        "open",
+        {
+          source: info.source || this._hash("source", account),
+          representative: entry.representative,
+          account
+        },
+        entry.balance
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * @function addBlock
+   * @description Insert a raw block into the ledger without touching accounts.
+   * @param {string} hash - The block hash.
+   * @param {Object} block - `account`, `amount` and the `contents` object.
+   * @return {Object} The stored block.
+   */
+  addBlock(hash, block) {
+    const entry = {
+      hash,
+      account: block.account,
+      amount: BigInt(block.amount || 0),
+      contents: Object.assign({}, block.contents)
+    };
+    this.blocks.set(hash, entry);
+    return entry;
+  }
+
+  /**
+   * @function addWallet
+   * @description Create a wallet.
+   * @param {string} wallet - The wallet ID. A random one when omitted.
+   * @param {Object} info - Optional `accounts`, `representative`, `seed`,
+   *                        `password` and `locked`.
+   * @return {Object} The stored wallet.
+   */
+  addWallet(wallet, info = {}) {
+    const entry = {
+      wallet: wallet || this._hash("wallet"),
+      accounts: (info.accounts || []).slice(),
+      representative: info.representative || null,
+      seed: info.seed || this._hash("seed"),
+      index: 0,
+      password: info.password || "",
+      locked: info.locked === true,
+      available: new Set(),
+      work: new Map()
+    };
+    this.wallets.set(entry.wallet, entry);
+    return entry;
+  }
+
+  /**
+   * @function addPending
+   * @description Add a pending (sent but not yet received) block for account.
+   *              The matching send block is created when unknown.
+   * @param {string} account - The receiving account.
+   * @param {string} hash - The send block hash. A new one when omitted.
+   * @param {string} amount - A raw amount.
+   * @param {string} source - The sending account.
+   * @return {string} The send block hash.
+   */
+  addPending(account, hash, amount, source) {
+    hash = hash || this._hash("pending", account);
+    source = source || account;
+    if (!this.blocks.has(hash)) {
+      this.addBlock(hash, {
+        account: source,
+        amount,
+        contents: {
+          type: "send",
+          previous: this._hash("previous", hash),
+          destination: account,
+          balance: "0".repeat(32),
+          work: this._work(),
+          signature: this._signature()
+        }
+      });
+    }
+
+    if (!this.pending.has(account)) {
+      this.pending.set(account, new Map());
+    }
+    this.pending.get(account).set(hash, { amount: BigInt(amount), source });
+    return hash;
+  }
+
+  /**
+   * @function addPeer
+   * @description Add a peer to the list returned by `peers`.
+   * @param {string} endpoint - The peer endpoint, like "[::ffff:10.0.0.1]:7075".
+   * @param {Number} protocolVersion - The peer protocol version.
+   */
+  addPeer(endpoint, protocolVersion = 7) {
+    this.peers.set(endpoint, String(protocolVersion));
+  }
+
+  /**
+   * @function addUnchecked
+   * @description Add a block which has not passed consistency checks.
+   * @param {string} hash - The block hash.
+   * @param {Object} contents - The block contents.
+   * @param {string} key - The unchecked database key, defaults to the
+   *                       previous (or source) hash of the block.
+   */
+  addUnchecked(hash, contents, key) {
+    this.unchecked.set(hash, {
+      key: key || contents.previous || contents.source || hash,
+      contents: Object.assign({}, contents)
+    });
+  }
+
+  /**
+   * @function addConfirmation
+   * @description Record an election winner for `confirmation_history`.
+   * @param {string} hash - The confirmed block hash.
+   * @param {string} tally - The raw tally weight.
+   */
+  addConfirmation(hash, tally) {
+    this.confirmations.push({ hash, tally: String(tally) });
+  }
+
+  /**
+   * @function getAccount
+   * @param {string} account - The XRB account address.
+   * @return {Object|undefined} The ledger entry of account.
+   */
+  getAccount(account) {
+    return this.accounts.get(account);
+  }
+
+  /**
+   * @function getBlock
+   * @param {string} hash - A block hash.
+   * @return {Object|undefined} The ledger entry of the block.
+   */
+  getBlock(hash) {
+    return this.blocks.get(hash);
+  }
+
+  /**
+   * @function getWallet
+   * @param {string} wallet - A wallet ID.
+   * @return {Object|undefined} The wallet.
+   */
+  getWallet(wallet) {
+    return this.wallets.get(wallet);
+  }
+
+  /**
+   * @function getPending
+   * @param {string} account - The XRB account address.
+   * @return {Object} Pending blocks of account, as `{ hash: { amount, source } }`
+   *                  with amounts as strings.
+   */
+  getPending(account) {
+    const result = {};
+    (this.pending.get(account) || new Map()).forEach((entry, hash) => {
+      result[hash] = { amount: entry.amount.toString(), source: entry.source };
+    });
+    return result;
+  }
+
+  /**
+   * @function lastRequest
+   * @description The most recent request received, optionally for one action.
+   * @param {string} action - Filter on this RPC action.
+   * @return {Object|undefined}
+   */
+  lastRequest(action) {
+    const requests = action
+      ? this.requests.filter(r => r.action === action)
+      : this.requests;
+    return requests[requests.length - 1];
+  }
+
+  /**
+   * @function handle
+   * @description Process one decoded RPC request, without HTTP.
+   * @param {Object} request - The request payload, `{ action, ...params }`.
+   * @return {Promise<Object>} The response payload.
+   */
+  handle(request) {
+    this.requests.push(request);
+
+    const action = request.action;
+    const handler = this["_action_" + action];
+    if (typeof handler !== "function") {
+      return Promise.resolve({ error: "Unknown command" });
+    }
+
+    if (!this.enableControl && CONTROL_ACTIONS.indexOf(action) !== -1) {
+      return Promise.resolve({ error: "RPC control is disabled" });
+    }
+
+    return Promise.resolve()
+      .then(() => handler.call(this, request))
+      .catch(e => {
+        if (e instanceof MockNodeError) {
+          return { error: e.message };
+        }
+        throw e;
+      });
+  }
+
+  _onRequest(req, res) {
+    const body = [];
+    req.on("data", chunk => body.push(chunk));
+    req.on("end", () => {
+      let request;
+      try {
+        request = JSON.parse(body.join(""));
+      } catch (e) {
+        return this._reply(res, 200, { error: "Unable to parse JSON" });
+      }
+
+      this.handle(request)
+        .then(response => this._reply(res, 200, response))
+        .catch(e => this._reply(res, 500, { error: e.message }));
+    });
+  }
+
+  _reply(res, status, payload) {
+    const data = JSON.stringify(payload);
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(data)
+    });
+    res.end(data);
+  }
+
+  /*
+   * Ledger helpers.
+   */
+
+  _tick() {
+    return ++this._clock;
+  }
+
+  _hash(...parts) {
+    return crypto
+      .createHash("sha256")
+      .update(parts.concat(++this._counter).join(":"))
+      .digest("hex")
+      .toUpperCase();
+  }
+
+  _work() {
+    return this._hash("work")
+      .slice(0, 16)
+      .toLowerCase();
+  }
+
+  _signature() {
+    return this._hash("signature") + this._hash("signature");
+  }
+
+  _appendBlock(entry, type, fields, amount = 0n) {
+    const contents = Object.assign({ type }, fields);
+    if (type !== "open") {
+      contents.previous = entry.frontier;
+    }
+    contents.work = this._work();
+    contents.signature = this._signature();
+
+    const hash = this._hash(type, entry.account);
+    this.addBlock(hash, { account: entry.account, amount, contents });
+
+    entry.frontier = hash;
+    entry.block_count++;
+    entry.modified_timestamp = String(this._tick());
+    if (type === "open") {
+      entry.open_block = hash;
+    }
+    if (type === "open" || type === "change") {
+      entry.representative_block = hash;
+      entry.representative = fields.representative;
+    }
+
+    return hash;
+  }
+
+  _pendingTotal(account) {
+    let total = 0n;
+    (this.pending.get(account) || new Map()).forEach(entry => {
+      total += entry.amount;
+    });
+    return total;
+  }
+
+  _weight(account) {
+    let total = 0n;
+    this.accounts.forEach(entry => {
+      if (entry.representative === account) {
+        total += entry.balance;
+      }
+    });
+    return total;
+  }
+
+  _receive(account, hash) {
+    const entry = this.pending.get(account).get(hash);
+    this.pending.get(account).delete(hash);
+
+    const info = this.accounts.get(account);
+    if (!info) {
+      return this.addAccount(account, { balance: entry.amount, source: hash })
+        .frontier;
+    }
+
+    info.balance += entry.amount;
+    return this._appendBlock(info, "receive", { source: hash }, entry.amount);
+  }
+
+  _startBootstrap() {
+    this.bootstrapAttempt = {
+      clients: 0,
+      pulls: 0,
+      pulling: 0,
+      connections: 0,
+      idle: 0,
+      target_connections: 4,
+      total_blocks: this.blocks.size,
+      lazy_mode: false,
+      lazy_blocks: 0,
+      lazy_state_unknown: 0,
+      lazy_balances: 0,
+      lazy_pulls: 0,
+      lazy_stopped: 0,
+      lazy_keys: 0
+    };
+  }
+
+  _pendingBlocks(accounts, request, skipEmpty = false) {
+    const count = this._count(request.count);
+    const threshold =
+      request.threshold === undefined || request.threshold === null
+        ? null
+        : this._amount(request.threshold, "threshold");
+    const withSource = isTrue(request.source);
+
+    const blocks = {};
+    accounts.forEach(account => {
+      const entries = Array.from(
+        (this.pending.get(account) || new Map()).entries()
+      )
+        .filter(([, entry]) => threshold === null || entry.amount >= threshold)
+        .slice(0, count);
+
+      if (skipEmpty && entries.length === 0) {
+        return;
+      }
+
+      if (threshold === null && !withSource) {
+        blocks[account] = entries.map(([hash]) => hash);
+        return;
+      }
+
+      blocks[account] = {};
+      entries.forEach(([hash, entry]) => {
+        blocks[account][hash] = withSource
+          ? { amount: entry.amount.toString(), source: entry.source }
+          : entry.amount.toString();
+      });
+    });
+    return blocks;
+  }
+
+  _history(hash, count) {
+    const history = [];
+    while (hash && this.blocks.has(hash) && history.length < count) {
+      const block = this.blocks.get(hash);
+      const contents = block.contents;
+      if (contents.type === "send") {
+        history.push({
+          hash,
+          type: "send",
+          account: contents.destination,
+          amount: block.amount.toString()
+        });
+      } else if (contents.type === "receive" || contents.type === "open") {
+        const source = this.blocks.get(contents.source);
+        history.push({
+          hash,
+          type: "receive",
+          account: source ? source.account : contents.account,
+          amount: block.amount.toString()
+        });
+      }
+      hash = contents.previous;
+    }
+    return history;
+  }
+
+  _accountInfo(entry, request) {
+    const info = {
+      frontier: entry.frontier,
+      open_block: entry.open_block,
+      representative_block: entry.representative_block,
+      balance: entry.balance.toString(),
+      modified_timestamp: entry.modified_timestamp,
+      block_count: String(entry.block_count)
+    };
+    if (isTrue(request.representative)) {
+      info.representative = entry.representative;
+    }
+    if (isTrue(request.weight)) {
+      info.weight = this._weight(entry.account).toString();
+    }
+    if (isTrue(request.pending)) {
+      info.pending = this._pendingTotal(entry.account).toString();
+    }
+    return info;
+  }
+
+  /*
+   * Argument checks, mirroring the node error messages.
+   */
+
+  _account(value, name = "account") {
+    if (!keys.isValidAccount(value)) {
+      throw new MockNodeError("Bad " + name + " number");
+    }
+    return value;
+  }
+
+  _openedAccount(value) {
+    const entry = this.accounts.get(this._account(value));
+    if (!entry) {
+      throw new MockNodeError("Account not found");
+    }
+    return entry;
+  }
+
+  _blockHash(value) {
+    if (typeof value !== "string" || !HEX64_REGEX.test(value)) {
+      throw new MockNodeError("Bad hash number");
+    }
+    return value.toUpperCase();
+  }
+
+  _existingBlock(value) {
+    const block = this.blocks.get(this._blockHash(value));
+    if (!block) {
+      throw new MockNodeError("Block not found");
+    }
+    return block;
+  }
+
+  _wallet(value) {
+    if (typeof value !== "string" || !HEX64_REGEX.test(value)) {
+      throw new MockNodeError("Bad wallet number");
+    }
+    const wallet = this.wallets.get(value.toUpperCase());
+    if (!wallet) {
+      throw new MockNodeError("Wallet not found");
+    }
+    return wallet;
+  }
+
+  _unlockedWallet(value) {
+    const wallet = this._wallet(value);
+    if (wallet.locked) {
+      throw new MockNodeError("Wallet locked");
+    }
+    return wallet;
+  }
+
+  _walletAccount(wallet, account) {
+    if (wallet.accounts.indexOf(this._account(account)) === -1) {
+      throw new MockNodeError("Account not found in wallet");
+    }
+    return account;
+  }
+
+  _amount(value, name = "amount") {
+    const amount = parseRaw(value);
+    if (amount === null) {
+      throw new MockNodeError("Bad " + name + " number");
+    }
+    return amount;
+  }
+
+  _count(value, fallback = 1) {
+    if (value === undefined || value === null) {
+      return fallback;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new MockNodeError("Invalid count limit");
+    }
+    return count;
+  }
+
+  _checkWork(root, work, message) {
+    if (typeof work !== "string" || !/^[0-9A-Fa-f]{16}$/.test(work)) {
+      throw new MockNodeError("Bad work");
+    }
+    if (!validateWork(root, work, this.workThreshold)) {
+      throw new MockNodeError(message);
+    }
+    return work;
+  }
+
+  _publicKey(account) {
+    try {
+      return keys.decodeAccount(account);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _keyExpand(privateKey) {
+    try {
+      return keys.keyExpand(privateKey);
+    } catch (e) {
+      throw new MockNodeError("Bad private key");
+    }
+  }
+
+  _convert(request, multiply, ratio) {
+    const amount = this._amount(request.amount);
+    return { amount: (multiply ? amount * ratio : amount / ratio).toString() };
+  }
+
+  _createAccount(wallet) {
+    const key = keys.deterministicKey(wallet.seed, wallet.index++);
+    wallet.accounts.push(key.account);
+    return key.account;
+  }
+
+  /*
+   * RPC actions.
+   */
+
+  _action_account_balance(request) {
+    const account = this._account(request.account);
+    const entry = this.accounts.get(account);
+    return {
+      balance: entry ? entry.balance.toString() : "0",
+      pending: this._pendingTotal(account).toString()
+    };
+  }
+
+  _action_account_block_count(request) {
+    return {
+      block_count: String(this._openedAccount(request.account).block_count)
+    };
+  }
+
+  _action_account_info(request) {
+    return this._accountInfo(this._openedAccount(request.account), request);
+  }
+
+  _action_account_create(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    return { account: this._createAccount(wallet) };
+  }
+
+  _action_account_get(request) {
+    try {
+      return { account: keys.encodeAccount(request.key) };
+    } catch (e) {
+      throw new MockNodeError("Bad public key");
+    }
+  }
+
+  _action_account_history(request) {
+    const entry = this._openedAccount(request.account);
+    return {
+      history: this._history(entry.frontier, this._count(request.count))
+    };
+  }
+
+  _action_account_list(request) {
+    return { accounts: this._wallet(request.wallet).accounts.slice() };
+  }
+
+  _action_account_move(request) {
+    const wallet = this._wallet(request.wallet);
+    const source = this._wallet(request.source);
+    const accounts = request.accounts || [];
+    accounts.forEach(account => this._walletAccount(source, account));
+    accounts.forEach(account => {
+      source.accounts.splice(source.accounts.indexOf(account), 1);
+      wallet.accounts.push(account);
+    });
+    return { moved: "1" };
+  }
+
+  _action_account_key(request) {
+    const key = this._publicKey(this._account(request.account));
+    if (!key) {
+      throw new MockNodeError("Bad account number");
+    }
+    return { key };
+  }
+
+  _action_account_remove(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    this._walletAccount(wallet, request.account);
+    wallet.accounts.splice(wallet.accounts.indexOf(request.account), 1);
+    return { removed: "1" };
+  }
+
+  _action_account_representative(request) {
+    return {
+      representative: this._openedAccount(request.account).representative
+    };
+  }
+
+  _action_account_representative_set(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    this._walletAccount(wallet, request.account);
+    const entry = this._openedAccount(request.account);
+    const representative = this._account(
+      request.representative,
+      "representative"
+    );
+    return {
+      block: this._appendBlock(entry, "change", { representative })
+    };
+  }
+
+  _action_account_weight(request) {
+    return {
+      weight: this._weight(this._account(request.account)).toString()
+    };
+  }
+
+  _action_accounts_balances(request) {
+    const balances = {};
+    (request.accounts || []).forEach(account => {
+      balances[account] = this._action_account_balance({ account });
+    });
+    return { balances };
+  }
+
+  _action_accounts_create(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    const accounts = [];
+    for (let i = 0; i < this._count(request.count); i++) {
+      accounts.push(this._createAccount(wallet));
+    }
+    return { accounts };
+  }
+
+  _action_accounts_frontiers(request) {
+    const frontiers = {};
+    (request.accounts || []).forEach(account => {
+      const entry = this.accounts.get(this._account(account));
+      if (entry) {
+        frontiers[account] = entry.frontier;
+      }
+    });
+    return { frontiers };
+  }
+
+  _action_accounts_pending(request) {
+    (request.accounts || []).forEach(account => this._account(account));
+    return { blocks: this._pendingBlocks(request.accounts || [], request) };
+  }
+
+  _action_available_supply() {
+    return { available: this.availableSupply };
+  }
+
+  _action_block(request) {
+    return {
+      contents: JSON.stringify(this._existingBlock(request.hash).contents)
+    };
+  }
+
+  _action_blocks(request) {
+    const blocks = {};
+    (request.hashes || []).forEach(hash => {
+      blocks[hash] = JSON.stringify(this._existingBlock(hash).contents);
+    });
+    return { blocks };
+  }
+
+  _action_blocks_info(request) {
+    const blocks = {};
+    (request.hashes || []).forEach(hash => {
+      const block = this._existingBlock(hash);
+      const info = {
+        block_account: block.account,
+        amount: block.amount.toString(),
+        contents: JSON.stringify(block.contents)
+      };
+      if (isTrue(request.source)) {
+        const source = this.blocks.get(block.contents.source);
+        info.source_account = source ? source.account : "0";
+      }
+      if (isTrue(request.pending)) {
+        const destination = block.contents.destination;
+        const entries = this.pending.get(destination);
+        info.pending = entries && entries.has(hash) ? "1" : "0";
+      }
+      blocks[hash] = info;
+    });
+    return { blocks };
+  }
+
+  _action_block_account(request) {
+    return { account: this._existingBlock(request.hash).account };
+  }
+
+  _action_block_count() {
+    return {
+      count: String(this.blocks.size),
+      unchecked: String(this.unchecked.size)
+    };
+  }
+
+  _action_block_count_type() {
+    const counts = { send: 0, receive: 0, open: 0, change: 0, state: 0 };
+    this.blocks.forEach(block => {
+      counts[block.contents.type]++;
+    });
+    Object.keys(counts).forEach(type => {
+      counts[type] = String(counts[type]);
+    });
+    return counts;
+  }
+
+  _action_version() {
+    return {
+      rpc_version: "1",
+      store_version: "10",
+      node_vendor: "RaiBlocks 10.0"
+    };
+  }
+
+  _action_peers() {
+    const peers = {};
+    this.peers.forEach((protocolVersion, endpoint) => {
+      peers[endpoint] = protocolVersion;
+    });
+    return { peers };
+  }
+
+  _action_unchecked(request) {
+    const blocks = {};
+    Array.from(this.unchecked.entries())
+      .slice(0, this._count(request.count))
+      .forEach(([hash, entry]) => {
+        blocks[hash] = JSON.stringify(entry.contents);
+      });
+    return { blocks };
+  }
+
+  _action_unchecked_get(request) {
+    const entry = this.unchecked.get(this._blockHash(request.hash));
+    if (!entry) {
+      throw new MockNodeError("Unchecked block not found");
+    }
+    return { contents: JSON.stringify(entry.contents) };
+  }
+
+  _action_unchecked_keys(request) {
+    const start = this._blockHash(request.key);
+    const unchecked = Array.from(this.unchecked.entries())
+      .filter(([, entry]) => entry.key >= start)
+      .sort((a, b) => (a[1].key > b[1].key ? 1 : -1))
+      .slice(0, this._count(request.count))
+      .map(([hash, entry]) => ({
+        key: entry.key,
+        hash,
+        contents: JSON.stringify(entry.contents)
+      }));
+    return { unchecked };
+  }
+
+  _action_unchecked_clear() {
+    this.unchecked.clear();
+    return { success: "" };
+  }
+
+  _action_confirmation_history() {
+    return { confirmations: this.confirmations.slice() };
+  }
+
+  _action_stats(request) {
+    if (request.type !== "counters" && request.type !== "samples") {
+      throw new MockNodeError("Invalid or unsupported type");
+    }
+
+    const counts = new Map();
+    this.blocks.forEach(block => {
+      const type = block.contents.type;
+      counts.set(type, (counts.get(type) || 0) + 1);
+    });
+
+    const entries = [];
+    counts.forEach((value, detail) => {
+      entries.push({
+        time: "00:00:00",
+        type: "ledger",
+        detail,
+        dir: "in",
+        value: String(value)
+      });
+    });
+    return { type: request.type, created: "2018.01.01 00:00:00", entries };
+  }
+
+  _action_bootstrap_status() {
+    if (!this.bootstrapAttempt) {
+      throw new MockNodeError("No active bootstrap attempt");
+    }
+    const status = {};
+    Object.keys(this.bootstrapAttempt).forEach(key => {
+      status[key] = String(this.bootstrapAttempt[key]);
+    });
+    return status;
+  }
+
+  _action_node_id() {
+    if (!this.nodeId) {
+      const key = keys.keyExpand(this._hash("node_id"));
+      this.nodeId = {
+        private: key.private,
+        public: key.public,
+        as_account: key.account
+      };
+    }
+    return Object.assign({}, this.nodeId);
+  }
+
+  _action_bootstrap(request) {
+    if (!request.address || !request.port) {
+      throw new MockNodeError("Invalid address");
+    }
+    this._startBootstrap();
+    return { success: "" };
+  }
+
+  _action_bootstrap_any() {
+    this._startBootstrap();
+    return { success: "" };
+  }
+
+  _action_chain(request) {
+    let hash = this._existingBlock(request.block).hash;
+    const count = this._count(request.count);
+    const blocks = [];
+    while (hash && this.blocks.has(hash) && blocks.length < count) {
+      blocks.push(hash);
+      hash = this.blocks.get(hash).contents.previous;
+    }
+    return { blocks };
+  }
+
+  _action_delegators(request) {
+    const account = this._account(request.account);
+    const delegators = {};
+    this.accounts.forEach(entry => {
+      if (entry.representative === account) {
+        delegators[entry.account] = entry.balance.toString();
+      }
+    });
+    return { delegators };
+  }
+
+  _action_delegators_count(request) {
+    const delegators = this._action_delegators(request).delegators;
+    return { count: String(Object.keys(delegators).length) };
+  }
+
+  _action_deterministic_key(request) {
+    try {
+      return keys.deterministicKey(request.seed, Number(request.index));
+    } catch (e) {
+      throw new MockNodeError("Bad seed");
+    }
+  }
+
+  _action_frontiers(request) {
+    const start = this._account(request.account);
+    const count = this._count(request.count);
+    const frontiers = {};
+    Array.from(this.accounts.keys())
+      .sort()
+      .filter(account => account >= start)
+      .slice(0, count)
+      .forEach(account => {
+        frontiers[account] = this.accounts.get(account).frontier;
+      });
+    return { frontiers };
+  }
+
+  _action_frontiers_count() {
+    return { count: String(this.accounts.size) };
+  }
+
+  _action_history(request) {
+    const hash = this._existingBlock(request.hash).hash;
+    return { history: this._history(hash, this._count(request.count)) };
+  }
+
+  _action_mrai_from_raw(request) {
+    return this._convert(request, false, MRAI_RATIO);
+  }
+
+  _action_mrai_to_raw(request) {
+    return this._convert(request, true, MRAI_RATIO);
+  }
+
+  _action_krai_from_raw(request) {
+    return this._convert(request, false, KRAI_RATIO);
+  }
+
+  _action_krai_to_raw(request) {
+    return this._convert(request, true, KRAI_RATIO);
+  }
+
+  _action_rai_from_raw(request) {
+    return this._convert(request, false, RAI_RATIO);
+  }
+
+  _action_rai_to_raw(request) {
+    return this._convert(request, true, RAI_RATIO);
+  }
+
+  _action_keepalive(request) {
+    if (!request.address || !request.port) {
+      throw new MockNodeError("Invalid address");
+    }
+    return { started: "1" };
+  }
+
+  _action_key_create() {
+    return keys.createKey();
+  }
+
+  _action_key_expand(request) {
+    return this._keyExpand(request.key);
+  }
+
+  _action_ledger(request) {
+    const start = this._account(request.account);
+    let accounts = Array.from(this.accounts.values()).filter(
+      entry => entry.account >= start
+    );
+    if (isTrue(request.sorting)) {
+      accounts.sort((a, b) => (b.balance > a.balance ? 1 : -1));
+    } else {
+      accounts.sort((a, b) => (a.account > b.account ? 1 : -1));
+    }
+    accounts = accounts.slice(0, this._count(request.count));
+
+    const result = {};
+    accounts.forEach(entry => {
+      result[entry.account] = this._accountInfo(entry, request);
+    });
+    return { accounts: result };
+  }
+
+  _action_block_create(request) {
+    const type = request.type;
+    this._keyExpand(request.key);
+
+    let contents;
+    if (type === "open") {
+      contents = {
+        type,
+        source: this._blockHash(request.source),
+        representative: this._account(request.representative, "representative"),
+        account: this._account(request.account)
+      };
+    } else if (type === "receive") {
+      contents = {
+        type,
+        previous: this._blockHash(request.previous),
+        source: this._blockHash(request.source)
+      };
+    } else if (type === "change") {
+      contents = {
+        type,
+        previous: this._blockHash(request.previous),
+        representative: this._account(request.representative, "representative")
+      };
+    } else if (type === "send") {
+      contents = {
+        type,
+        previous: this._blockHash(request.previous),
+        destination: this._account(request.destination, "destination"),
+        balance: this._amount(request.balance, "balance")
+          .toString(16)
+          .toUpperCase()
+          .padStart(32, "0")
+      };
+    } else {
+      throw new MockNodeError("Invalid block type");
+    }
+
+    if (request.work !== undefined) {
+      const root = contents.previous || this._publicKey(contents.account);
+      this._checkWork(root, request.work, "Invalid work");
+    }
+    contents.work = request.work || this._work();
+    contents.signature = this._signature();
+    return {
+      hash: this._hash("create", type),
+      block: JSON.stringify(contents)
+    };
+  }
+
+  _action_payment_init(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    wallet.accounts.forEach(account => wallet.available.add(account));
+    return { status: "Ready" };
+  }
+
+  _action_payment_begin(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    let account = Array.from(wallet.available).find(candidate => {
+      const entry = this.accounts.get(candidate);
+      return !entry || entry.balance === 0n;
+    });
+    if (!account) {
+      account = this._createAccount(wallet);
+    }
+    wallet.available.delete(account);
+    return { account };
+  }
+
+  _action_payment_wait(request) {
+    const account = this._account(request.account);
+    const amount = this._amount(request.amount);
+    const timeout = Number(request.timeout) || 0;
+    const deadline = Date.now() + timeout;
+
+    const check = resolve => {
+      const entry = this.accounts.get(account);
+      const balance =
+        (entry ? entry.balance : 0n) + this._pendingTotal(account);
+      if (balance >= amount) {
+        return resolve({ status: "success" });
+      }
+      if (Date.now() >= deadline) {
+        return resolve({ status: "nothing" });
+      }
+      setTimeout(() => check(resolve), 10);
+    };
+    return new Promise(check);
+  }
+
+  _action_payment_end(request) {
+    const wallet = this._wallet(request.wallet);
+    this._walletAccount(wallet, request.account);
+    wallet.available.add(request.account);
+    return {};
+  }
+
+  _action_process(request) {
+    let contents;
+    try {
+      contents =
+        typeof request.block === "string"
+          ? JSON.parse(request.block)
+          : request.block;
+    } catch (e) {
+      throw new MockNodeError("Block is invalid");
+    }
+    if (!contents || typeof contents.type !== "string") {
+      throw new MockNodeError("Block is invalid");
+    }
+
+    let hash;
+    try {
+      hash = blocks.hash(contents);
+    } catch (e) {
+      hash = this._hash("process", JSON.stringify(contents));
+    }
+    if (this.blocks.has(hash)) {
+      throw new MockNodeError("Old block");
+    }
+    let entry;
+    if (contents.type === "open" || contents.type === "state") {
+      entry = this.accounts.get(contents.account);
+    } else {
+      const previous = this.blocks.get(String(contents.previous).toUpperCase());
+      if (!previous) {
+        throw new MockNodeError("Gap previous block");
+      }
+      entry = this.accounts.get(previous.account);
+    }
+
+    if (contents.type === "open" && entry) {
+      throw new MockNodeError("Fork");
+    }
+    const root =
+      contents.previous && !/^0+$/.test(contents.previous)
+        ? contents.previous
+        : this._publicKey(contents.account);
+    if (root) {
+      this._checkWork(root, contents.work, "Block work is insufficient");
+    }
+    if (contents.type === "open") {
+      entry = this.addAccount(contents.account, {
+        representative: contents.representative,
+        open_block: hash
+      });
+    } else if (!entry) {
+      throw new MockNodeError("Gap previous block");
+    } else {
+      entry.frontier = hash;
+      entry.block_count++;
+      entry.modified_timestamp = String(this._tick());
+    }
+
+    this.addBlock(hash, { account: entry.account, contents });
+    return { hash };
+  }
+
+  _action_receive(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    const account = this._walletAccount(wallet, request.account);
+    const hash = this._blockHash(request.block);
+    const entries = this.pending.get(account);
+    if (!entries || !entries.has(hash)) {
+      throw new MockNodeError("Block is not available to receive");
+    }
+    return { block: this._receive(account, hash) };
+  }
+
+  _action_receive_minimum() {
+    return { amount: this.receiveMinimum };
+  }
+
+  _action_receive_minimum_set(request) {
+    this.receiveMinimum = this._amount(request.amount).toString();
+    return { success: "" };
+  }
+
+  _action_representatives(request) {
+    const weights = new Map();
+    this.accounts.forEach(entry => {
+      const current = weights.get(entry.representative) || 0n;
+      weights.set(entry.representative, current + entry.balance);
+    });
+
+    let representatives = Array.from(weights.entries());
+    if (isTrue(request.sorting)) {
+      representatives.sort((a, b) => (b[1] > a[1] ? 1 : -1));
+    } else {
+      representatives.sort((a, b) => (a[0] > b[0] ? 1 : -1));
+    }
+    if (request.count !== undefined && request.count !== null) {
+      representatives = representatives.slice(0, this._count(request.count));
+    }
+
+    const result = {};
+    representatives.forEach(([account, weight]) => {
+      result[account] = weight.toString();
+    });
+    return { representatives: result };
+  }
+
+  _action_wallet_representative(request) {
+    const wallet = this._wallet(request.wallet);
+    return { representative: wallet.representative || "" };
+  }
+
+  _action_wallet_representative_set(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    wallet.representative = this._account(
+      request.representative,
+      "representative"
+    );
+    return { set: "1" };
+  }
+
+  _action_republish(request) {
+    let hash = this._existingBlock(request.hash).hash;
+    const count = this._count(request.count);
+    const blocks = [];
+    while (hash && this.blocks.has(hash) && blocks.length < count) {
+      blocks.push(hash);
+      const next = Array.from(this.blocks.values()).find(
+        block => block.contents.previous === hash
+      );
+      hash = next ? next.hash : null;
+    }
+    return { blocks };
+  }
+
+  _action_wallet_create() {
+    return { wallet: this.addWallet().wallet };
+  }
+
+  _action_wallet_destroy(request) {
+    this.wallets.delete(this._wallet(request.wallet).wallet);
+    return {};
+  }
+
+  _action_wallet_add(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    const key = this._keyExpand(request.key);
+    if (wallet.accounts.indexOf(key.account) === -1) {
+      wallet.accounts.push(key.account);
+    }
+    return { account: key.account };
+  }
+
+  _action_wallet_balance_total(request) {
+    const wallet = this._wallet(request.wallet);
+    let balance = 0n;
+    let pending = 0n;
+    wallet.accounts.forEach(account => {
+      const entry = this.accounts.get(account);
+      balance += entry ? entry.balance : 0n;
+      pending += this._pendingTotal(account);
+    });
+    return { balance: balance.toString(), pending: pending.toString() };
+  }
+
+  _action_wallet_balances(request) {
+    const wallet = this._wallet(request.wallet);
+    const threshold =
+      request.threshold === undefined || request.threshold === null
+        ? 0n
+        : this._amount(request.threshold, "threshold");
+
+    const balances = {};
+    wallet.accounts.forEach(account => {
+      const entry = this.accounts.get(account);
+      const balance = entry ? entry.balance : 0n;
+      if (balance >= threshold) {
+        balances[account] = {
+          balance: balance.toString(),
+          pending: this._pendingTotal(account).toString()
+        };
+      }
+    });
+    return { balances };
+  }
+
+  _action_wallet_contains(request) {
+    const wallet = this._wallet(request.wallet);
+    const account = this._account(request.account);
+    return { exists: wallet.accounts.indexOf(account) === -1 ? "0" : "1" };
+  }
+
+  _action_wallet_export(request) {
+    const wallet = this._wallet(request.wallet);
+    const store = {
+      "0000000000000000000000000000000000000000000000000000000000000000":
+        "0000000000000000000000000000000000000000000000000000000000000003",
+      "0000000000000000000000000000000000000000000000000000000000000002": this._hash(
+        "export",
+        wallet.seed
+      ),
+      "0000000000000000000000000000000000000000000000000000000000000003":
+        wallet.representative || ""
+    };
+    wallet.accounts.forEach(account => {
+      store[this._publicKey(account)] = this._hash("export", account);
+    });
+    return { json: JSON.stringify(store) };
+  }
+
+  _action_wallet_frontiers(request) {
+    const wallet = this._wallet(request.wallet);
+    const frontiers = {};
+    wallet.accounts.forEach(account => {
+      const entry = this.accounts.get(account);
+      if (entry) {
+        frontiers[account] = entry.frontier;
+      }
+    });
+    return { frontiers };
+  }
+
+  _action_wallet_pending(request) {
+    const wallet = this._wallet(request.wallet);
+    return { blocks: this._pendingBlocks(wallet.accounts, request, true) };
+  }
+
+  _action_wallet_republish(request) {
+    const wallet = this._wallet(request.wallet);
+    const count = this._count(request.count);
+    const blocks = [];
+    wallet.accounts.forEach(account => {
+      const entry = this.accounts.get(account);
+      let hash = entry ? entry.frontier : null;
+      const chain = [];
+      while (hash && this.blocks.has(hash) && chain.length < count) {
+        chain.unshift(hash);
+        hash = this.blocks.get(hash).contents.previous;
+      }
+      blocks.push(...chain);
+    });
+    return { blocks };
+  }
+
+  _action_wallet_key_valid(request) {
+    return { valid: this._wallet(request.wallet).locked ? "0" : "1" };
+  }
+
+  _action_wallet_change_seed(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    const seed = String(request.seed || "").toUpperCase();
+    if (!HEX64_REGEX.test(seed)) {
+      throw new MockNodeError("Bad seed");
+    }
+    wallet.seed = seed;
+    wallet.index = 0;
+    wallet.accounts = [];
+    this._createAccount(wallet);
+    return { success: "" };
+  }
+
+  _action_wallet_locked(request) {
+    return { locked: this._wallet(request.wallet).locked ? "1" : "0" };
+  }
+
+  _action_password_change(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    wallet.password = String(request.password || "");
+    return { changed: "1" };
+  }
+
+  _action_password_enter(request) {
+    const wallet = this._wallet(request.wallet);
+    if (String(request.password || "") !== wallet.password) {
+      return { valid: "0" };
+    }
+    wallet.locked = false;
+    return { valid: "1" };
+  }
+
+  _action_password_valid(request) {
+    return { valid: this._wallet(request.wallet).locked ? "0" : "1" };
+  }
+
+  _action_search_pending(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    wallet.accounts.forEach(account => {
+      Array.from(
+        (this.pending.get(account) || new Map()).keys()
+      ).forEach(hash => this._receive(account, hash));
+    });
+    return { started: "1" };
+  }
+
+  _action_search_pending_all() {
+    this.wallets.forEach(wallet => {
+      if (!wallet.locked) {
+        this._action_search_pending({ wallet: wallet.wallet });
+      }
+    });
+    return { success: "" };
+  }
+
+  _action_send(request) {
+    const wallet = this._unlockedWallet(request.wallet);
+    const source = this._openedAccount(
+      this._walletAccount(wallet, request.source)
+    );
+    const destination = this._account(request.destination, "destination");
+    const amount = this._amount(request.amount);
+    if (source.balance < amount) {
+      throw new MockNodeError("Insufficient balance");
+    }
+    if (request.work !== undefined) {
+      this._checkWork(source.frontier, request.work, "Invalid work");
+    }
+
+    source.balance -= amount;
+    const hash = this._appendBlock(
+      source,
+      "send",
+      {
+        destination,
+        balance: source.balance
+          .toString(16)
+          .toUpperCase()
+          .padStart(32, "0")
+      },
+      amount
+    );
+    this.addPending(destination, hash, amount, source.account);
+    return { block: hash };
+  }
+
+  _action_work_generate(request) {
+    const hash = this._blockHash(request.hash);
+    return generateWork(hash, { threshold: this.workThreshold }).then(work => ({
+      work
+    }));
+  }
+
+  _action_work_cancel(request) {
+    this._blockHash(request.hash);
+    return {};
+  }
+
+  _action_work_validate(request) {
+    const hash = this._blockHash(request.hash);
+    try {
+      this._checkWork(hash, request.work, "Invalid work");
+      return { valid: "1" };
+    } catch (e) {
+      if (e.message === "Bad work") {
+        throw e;
+      }
+      return { valid: "0" };
+    }
+  }
+
+  _action_work_get(request) {
+    const wallet = this._wallet(request.wallet);
+    const account = this._walletAccount(wallet, request.account);
+    return { work: wallet.work.get(account) || "0000000000000000" };
+  }
+
+  _action_work_set(request) {
+    const wallet = this._wallet(request.wallet);
+    const account = this._walletAccount(wallet, request.account);
+    if (!/^[0-9A-Fa-f]{16}$/.test(request.work || "")) {
+      throw new MockNodeError("Bad work");
+    }
+    wallet.work.set(account, request.work);
+    return { success: "" };
+  }
+
+  _action_work_peer_add(request) {
+    if (!request.address || !request.port) {
+      throw new MockNodeError("Invalid address");
+    }
+    this.workPeers.push({ address: request.address, port: request.port });
+    return { success: "" };
+  }
+
+  _action_work_peers_clear() {
+    this.workPeers = [];
+    return { success: "" };
+  }
+
+  _action_stop() {
+    this.stopped = true;
+    return { success: "" };
+  }
+}
+
+/**
+ * Parse a raw amount the way the node does: decimal strings or integers.
+ * @return {BigInt|null} The amount, or null when malformed.
+ */
+function parseRaw(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value >= 0) {
+    return BigInt(value);
+  }
+  if (typeof value === "string" && /^[0-9]{1,39}$/.test(value)) {
+    return BigInt(value);
+  }
+  return null;
+}
+
+/**
+ * The node reads booleans from strings, accept both.
+ */
+function isTrue(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+MockRaiNode.MockNodeError = MockNodeError;
+MockRaiNode.GENESIS_AMOUNT = GENESIS_AMOUNT;
+MockRaiNode.WORK_THRESHOLD = WORK_THRESHOLD;
+
+module.exports = MockRaiNode;
@@ -0,0 +1,141 @@
+/**
+ * Normalizers turning the all-strings JSON returned by the node into
+ * typed objects: counters become numbers, flags become booleans and
+ * nested JSON strings are parsed. Raw amounts are kept as strings since
+ * they don't fit in a javascript Number.
+ *
+ * Each normalizer leaves untouched the responses it can't handle: raw
+ * strings (when `deserializeJSON` is false) and error objects.
+ */
+
+/**
+ * @function normalizer
+ * @description Wrap a transform so it only applies to successful responses.
+ * @param {Function} transform - Takes and returns a response object.
+ * @return {Function}
+ */
+function normalizer(transform) {
+  return res => {
+    if (res === null || typeof res !== "object" || "error" in res) {
+      return res;
+    }
+    return transform(res);
+  };
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === "" || isNaN(number) ? value : number;
+}
+
+function toBoolean(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+function parseContents(contents) {
+  if (typeof contents !== "string") {
+    return contents;
+  }
+  try {
+    return JSON.parse(contents);
+  } catch (e) {
+    return contents;
+  }
+}
+
+/**
+ * Split a peer endpoint like "[::ffff:172.17.0.1]:7075".
+ */
+function parseEndpoint(endpoint) {
+  const match = /^\[?(.*?)\]?:(\d+)$/.exec(endpoint);
+  if (!match) {
+    return { address: endpoint, port: null };
+  }
+  return { address: match[1], port: Number(match[2]) };
+}
+
+const version = normalizer(res => ({
+  rpc_version: toNumber(res.rpc_version),
+  store_version: toNumber(res.store_version),
+  node_vendor: res.node_vendor
+}));
+
+const peers = normalizer(res => ({
+  peers: Object.keys(res.peers || {}).map(endpoint => {
+    const peer = parseEndpoint(endpoint);
+    const info = res.peers[endpoint];
+    peer.protocol_version = toNumber(
+      typeof info === "object" ? info.protocol_version : info
+    );
+    return peer;
+  })
+}));
+
+const unchecked = normalizer(res => {
+  const blocks = {};
+  Object.keys(res.blocks || {}).forEach(hash => {
+    blocks[hash] = parseContents(res.blocks[hash]);
+  });
+  return { blocks };
+});
+
+const uncheckedGet = normalizer(res => ({
+  contents: parseContents(res.contents)
+}));
+
+const uncheckedKeys = normalizer(res => ({
+  unchecked: (res.unchecked || []).map(entry => ({
+    key: entry.key,
+    hash: entry.hash,
+    contents: parseContents(entry.contents)
+  }))
+}));
+
+const success = normalizer(res => ({ success: "success" in res }));
+
+const confirmationHistory = normalizer(res => ({
+  confirmations: (res.confirmations || []).map(confirmation => {
+    const result = Object.assign({}, confirmation);
+    ["duration", "time", "request_count"].forEach(key => {
+      if (key in result) {
+        result[key] = toNumber(result[key]);
+      }
+    });
+    return result;
+  })
+}));
+
+const stats = normalizer(res => {
+  const result = Object.assign({}, res);
+  if (Array.isArray(res.entries)) {
+    result.entries = res.entries.map(entry =>
+      Object.assign({}, entry, { value: toNumber(entry.value) })
+    );
+  }
+  return result;
+});
+
+const bootstrapStatus = normalizer(res => {
+  const result = {};
+  Object.keys(res).forEach(key => {
+    const value = res[key];
+    result[key] =
+      value === "true" || value === "false"
+        ? toBoolean(value)
+        : toNumber(value);
+  });
+  return result;
+});
+
+module.exports = {
+  normalizer,
+  version,
+  peers,
+  unchecked,
+  uncheckedGet,
+  uncheckedKeys,
+  success,
+  confirmationHistory,
+  stats,
+  bootstrapStatus
+};
@@ -0,0 +1,303 @@
+const EventEmitter = require("events");
+const units = require("./units");
+const errors = require("./errors");
+
+/**
+ * Confirmation policies: what counts as paid, from an `account_balance`.
+ *   - pending: Sends to the account, as soon as the node sees them.
+ *   - received: Only the sends the wallet already received.
+ */
+const POLICIES = {
+  pending: balance => BigInt(balance.balance) + BigInt(balance.pending),
+  received: balance => BigInt(balance.balance)
+};
+
+/**
+ * Store updates are queued per store, so that concurrent sessions don't
+ * overwrite each other's records.
+ */
+const queues = new WeakMap();
+
+function updateStore(store, update) {
+  const previous = queues.get(store) || Promise.resolve();
+  const next = previous
+    .catch(() => undefined)
+    .then(() => store.load())
+    .then(state => {
+      const sessions = (state && state.sessions) || {};
+      update(sessions);
+      return store.save({ sessions });
+    });
+  queues.set(store, next);
+  return next;
+}
+
+/**
+ * @class PaymentSession
+ * @description Wait for a payment on an account handed out by
+ *              `payment_begin`, then release it through `payment_end`,
+ *              whatever the outcome. It emits:
+ *   - "address" `account`: The account to pay to.
+ *   - "progress" `{ account, amount, received, remaining }`: The received
+ *     amount changed.
+ *   - "end" `result`: The session is over, the account released.
+ *   - "error": The session failed. The account is still released.
+ *
+ *   The result is `{ status, account, amount, received, remaining, excess }`,
+ *   amounts being raw strings, and status one of "paid", "overpaid",
+ *   "partial" (timed out after a partial payment), "expired" (timed out
+ *   without any) and "cancelled".
+ */
+class PaymentSession extends EventEmitter {
+  /*
+   * @function constructor
+   * @param {RaiClient} client - The client of the node holding the wallet.
+   * @param {string} wallet - The wallet ID, prepared with `payment_init`.
+   * @param {string} amount - The expected amount, anything `units.raw()`
+   *                          accepts.
+   * @param {Object} options - Optional settings:
+   *   - {Number} timeout: Milliseconds to wait for the payment. Default to
+   *     600000 (10 minutes).
+   *   - {Number} interval: Longest `payment_wait` call, in milliseconds,
+   *     between two progress checks. Default to 1000.
+   *   - {string} confirmation: What counts as paid, "pending" or "received".
+   *     Default to "pending".
+   *   - {string} tolerance: A shortfall still counted as paid, anything
+   *     `units.raw()` accepts. Default to 0.
+   *   - {Object} store: Where running sessions are recorded for
+   *     `PaymentSession.recover()`, an object with `load()` and `save(state)`
+   *     methods returning promises, like `RaiWatcher.fileStore(path)`.
+   */
+  constructor(client, wallet, amount, options = {}) {
+    super();
+    const confirmation = options.confirmation || "pending";
+    if (!POLICIES.hasOwnProperty(confirmation)) {
+      throw new Error("Unknown confirmation policy: " + confirmation);
+    }
+
+    this.client = client;
+    this.wallet = wallet;
+    this.amount = BigInt(units.raw(amount));
+    this.timeout = options.timeout || 600000;
+    this.interval = options.interval || 1000;
+    this.confirmation = confirmation;
+    this.tolerance = BigInt(units.raw(options.tolerance || "0"));
+    this.store = options.store || null;
+    this.account = null;
+    this.baseline = null;
+    this.expires = null;
+    this.received = 0n;
+    this.promise = null;
+    this.cancelled = false;
+  }
+
+  /**
+   * @function recover
+   * @description Get back the sessions a crashed process left in a store.
+   *              Once started, they wait for the rest of their time, or
+   *              release their account right away when it already ran out.
+   * @param {RaiClient} client - The client of the node holding the wallets.
+   * @param {Object} store - The store the sessions were recorded in.
+   * @param {Object} options - Settings for the sessions, as in the
+   *                           constructor.
+   * @return {Promise<Array<PaymentSession>>} The sessions, not started.
+   */
+  static recover(client, store, options = {}) {
+    return store.load().then(state => {
+      const records = (state && state.sessions) || {};
+      return Object.keys(records).map(account => {
+        const record = records[account];
+        const session = new PaymentSession(
+          client,
+          record.wallet,
+          record.amount,
+          Object.assign({}, options, { store })
+        );
+        session.account = account;
+        session.expires = record.expires;
+        // Accounts are handed out empty: a crash before the baseline was
+        // recorded leaves nothing to subtract.
+        session.baseline = BigInt(record.baseline || "0");
+        return session;
+      });
+    });
+  }
+
+  /**
+   * @function start
+   * @description Begin the session, when it isn't recovered, and wait for
+   *              the payment. Calling it again returns the same promise.
+   * @return {Promise<Object>} Resolves with the result once the account is
+   *                           released.
+   */
+  start() {
+    if (!this.promise) {
+      this.promise = this._run();
+    }
+    return this.promise;
+  }
+
+  /**
+   * @function cancel
+   * @description Stop waiting. The session ends after the current check.
+   * @return {Promise<Object>} Resolves with the result.
+   */
+  cancel() {
+    this.cancelled = true;
+    return this.start();
+  }
+
+  async _run() {
+    if (this.account === null) {
+      const begun = await this.client._query("payment_begin", {
+        wallet: this.wallet
+      });
+      this.account = begun.account;
+      this.expires = Date.now() + this.timeout;
+    }
+
+    let result;
+    let failure = null;
+    try {
+      if (this.baseline === null) {
+        await this._record();
+        this.baseline = await this._total();
+      }
+      await this._record();
+      this.emit("address", this.account);
+      result = await this._wait();
+    } catch (err) {
+      failure = err;
+    }
+
+    try {
+      await this.client._query("payment_end", {
+        account: this.account,
+        wallet: this.wallet
+      });
+      // Only a released account is forgotten, otherwise `recover()` retries.
+      await this._forget();
+    } catch (err) {
+      failure = failure || err;
+    }
+
+    if (failure) {
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", failure);
+      }
+      throw failure;
+    }
+    this.emit("end", result);
+    return result;
+  }
+
+  async _wait() {
+    const target = this.amount - this.tolerance;
+    let transient = null;
+    for (;;) {
+      try {
+        this._progress((await this._total()) - this.baseline);
+        transient = null;
+      } catch (err) {
+        // Connection failures are retried until the session expires.
+        if (!errors.isTransient(err)) {
+          throw err;
+        }
+        transient = err;
+      }
+
+      if (transient === null && this.received >= target) {
+        return this._result(this.received > this.amount ? "overpaid" : "paid");
+      }
+      if (this.cancelled) {
+        return this._result("cancelled");
+      }
+      const left = this.expires - Date.now();
+      if (left <= 0) {
+        if (transient !== null) {
+          throw transient;
+        }
+        return this._result(this.received > 0n ? "partial" : "expired");
+      }
+
+      await this.client
+        ._query("payment_wait", {
+          account: this.account,
+          amount: (this.baseline + target).toString(),
+          timeout: Math.min(this.interval, left)
+        })
+        .catch(err => {
+          if (!errors.isTransient(err)) {
+            throw err;
+          }
+        });
+    }
+  }
+
+  /**
+   * The amount counted by the confirmation policy. The call skips the
+   * response cache: it must be fresh.
+   */
+  _total() {
+    return this.client
+      .withOptions({ cache: false })
+      ._query("account_balance", { account: this.account })
+      .then(POLICIES[this.confirmation]);
+  }
+
+  _progress(received) {
+    if (received === this.received) {
+      return;
+    }
+    this.received = received;
+    this.emit("progress", {
+      account: this.account,
+      amount: this.amount.toString(),
+      received: received.toString(),
+      remaining: this._remaining().toString()
+    });
+  }
+
+  _remaining() {
+    return this.received < this.amount ? this.amount - this.received : 0n;
+  }
+
+  _result(status) {
+    return {
+      status,
+      account: this.account,
+      amount: this.amount.toString(),
+      received: this.received.toString(),
+      remaining: this._remaining().toString(),
+      excess: (this.received > this.amount
+        ? this.received - this.amount
+        : 0n
+      ).toString()
+    };
+  }
+
+  _record() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    return updateStore(this.store, sessions => {
+      sessions[this.account] = {
+        wallet: this.wallet,
+        amount: this.amount.toString(),
+        expires: this.expires,
+        baseline: this.baseline === null ? null : this.baseline.toString()
+      };
+    });
+  }
+
+  _forget() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    return updateStore(this.store, sessions => {
+      delete sessions[this.account];
+    });
+  }
+}
+
+module.exports = PaymentSession;
@@ -0,0 +1,305 @@
+const RaiClient = require("./index");
+const errors = require("./errors");
+const { isTransport } = require("./transport-common");
+
+/**
+ * Actions always sent to the primary node: they need `enable_control`, use
+ * a wallet, or act on one node in particular.
+ */
+const PRIMARY_ACTIONS = [
+  "account_create",
+  "account_list",
+  "account_move",
+  "account_remove",
+  "account_representative_set",
+  "accounts_create",
+  "block_create",
+  "bootstrap",
+  "bootstrap_any",
+  "bootstrap_status",
+  "keepalive",
+  "ledger",
+  "node_id",
+  "process",
+  "receive",
+  "receive_minimum",
+  "receive_minimum_set",
+  "republish",
+  "search_pending",
+  "search_pending_all",
+  "send",
+  "stop",
+  "unchecked_clear"
+];
+const PRIMARY_PREFIXES = ["wallet_", "password_", "payment_", "work_"];
+
+const STRATEGIES = ["round-robin", "least-latency"];
+
+/**
+ * Weight of the last request in the latency moving average of a node.
+ */
+const LATENCY_WEIGHT = 0.3;
+
+/**
+ * @class RaiPool
+ * @description A `RaiClient` spreading its calls over several nodes.
+ *              Read-only actions are balanced across the healthy nodes and
+ *              fail over to the next one on connection errors. Wallet and
+ *              control actions always go to the primary node.
+ */
+class RaiPool extends RaiClient {
+  /*
+   * @function constructor
+   * @description Build an instance of `RaiPool`
+   * @param {Array<string>} nodeAddresses - The full addresses of the nodes.
+   * @param {bool} deserializeJSON - Whether to deserialize responses as JSON
+   *                                 objects. Default to true.
+   * @param {Object} options - The `RaiClient` options, used for every node, and:
+   *   - {string} strategy: How read-only actions pick their node, either
+   *     "round-robin" or "least-latency". Default to "round-robin".
+   *   - {string|Number} primary: The address, or index, of the node wallet and
+   *     control actions are pinned to. Default to the first one.
+   *   - {Number} maxFailures: Consecutive connection failures before a node is
+   *     marked unhealthy. Default to 1.
+   *   - {Number} probeInterval: Milliseconds between the `block_count` probes
+   *     checking whether an unhealthy node is back. Default to 5000.
+   *   - {Object|Function} transport: The transport settings of every node,
+   *     or a function building the transport of a node from its address. A
+   *     transport instance is rejected: the nodes can't share one.
+   */
+  constructor(nodeAddresses, deserializeJSON = true, options = {}) {
+    if (!Array.isArray(nodeAddresses) || nodeAddresses.length === 0) {
+      throw new Error("RaiPool needs at least one node address");
+    }
+
+    const primary =
+      typeof options.primary === "number"
+        ? nodeAddresses[options.primary]
+        : options.primary || nodeAddresses[0];
+    if (nodeAddresses.indexOf(primary) === -1) {
+      throw new Error("Unknown primary node: " + options.primary);
+    }
+
+    const strategy = options.strategy || "round-robin";
+    if (STRATEGIES.indexOf(strategy) === -1) {
+      throw new Error("Unknown strategy: " + strategy);
+    }
+
+    if (isTransport(options.transport)) {
+      throw new Error(
+        "RaiPool needs transport settings, or a function building the " +
+          "transport of an address, not a transport shared by every node"
+      );
+    }
+    const transportOf =
+      typeof options.transport === "function"
+        ? options.transport
+        : () => options.transport;
+
+    super(
+      primary,
+      deserializeJSON,
+      Object.assign({}, options, { transport: undefined })
+    );
+    this.strategy = strategy;
+    this.maxFailures = options.maxFailures || 1;
+    this.probeInterval = options.probeInterval || 5000;
+
+    // Work is generated once by the pool, not by each node client, and
+    // the nodes share one cache so that invalidations reach every entry.
+    const nodeOptions = Object.assign({}, options, {
+      workProvider: undefined,
+      cache: this.cache
+    });
+    this.nodes = nodeAddresses.map(address => ({
+      address,
+      client: new RaiClient(
+        address,
+        deserializeJSON,
+        Object.assign({}, nodeOptions, { transport: transportOf(address) })
+      ),
+      healthy: true,
+      failures: 0,
+      latency: null,
+      probe: null
+    }));
+    this.primary = this.nodes[nodeAddresses.indexOf(primary)];
+    this.transport = this.primary.client.transport;
+    this.closed = false;
+    this._next = 0;
+  }
+
+  /**
+   * @function status
+   * @description Get the health of every node.
+   * @return {Array<Object>} `{ address, primary, healthy, failures, latency }`
+   *                         per node, latency being a moving average in ms.
+   */
+  status() {
+    return this.nodes.map(node => ({
+      address: node.address,
+      primary: node === this.primary,
+      healthy: node.healthy,
+      failures: node.failures,
+      latency: node.latency
+    }));
+  }
+
+  /**
+   * @function close
+   * @description Stop probing the unhealthy nodes.
+   */
+  close() {
+    this.closed = true;
+    this.nodes.forEach(node => {
+      clearTimeout(node.probe);
+      node.probe = null;
+    });
+  }
+
+  /**
+   * @function _dispatch
+   * @private
+   * @description Send the request to the primary node, or to the healthy
+   *              node picked by the strategy, failing over to the others.
+   * @param {string} method - the name of the RPC method
+   * @param {Object|Array} params - Parameters to be passed to the RPC method
+   * @return {Promise}
+   */
+  _dispatch(method, params = undefined) {
+    if (this._isPinned(method, params)) {
+      return this._sendTo(this.primary, method, params);
+    }
+
+    const candidates = this._candidates();
+    const failover = this._isIdempotent(method);
+    const attempt = index =>
+      this._sendTo(candidates[index], method, params).catch(err => {
+        if (
+          !failover ||
+          index + 1 >= candidates.length ||
+          !errors.isTransient(err)
+        ) {
+          throw err;
+        }
+        return attempt(index + 1);
+      });
+    return attempt(0);
+  }
+
+  /**
+   * @function _isPinned
+   * @private
+   * @param {string} action - A given RPC action.
+   * @param {Object} params - Parameters to be passed to the RPC daemon
+   * @return {boolean} Whether the action must go to the primary node.
+   */
+  _isPinned(action, params) {
+    return (
+      PRIMARY_ACTIONS.indexOf(action) !== -1 ||
+      PRIMARY_PREFIXES.some(prefix => action.indexOf(prefix) === 0) ||
+      (params !== undefined && params.wallet !== undefined)
+    );
+  }
+
+  /**
+   * @function _candidates
+   * @private
+   * @description The nodes to try for a read-only action, in order. When no
+   *              node is healthy, all of them are tried anyway.
+   * @return {Array<Object>}
+   */
+  _candidates() {
+    const healthy = this.nodes.filter(node => node.healthy);
+    const nodes = healthy.length > 0 ? healthy : this.nodes;
+
+    if (this.strategy === "least-latency") {
+      // Nodes not measured yet go first, so that they get measured.
+      return nodes.slice().sort((a, b) => (a.latency || 0) - (b.latency || 0));
+    }
+
+    const start = this._next++ % nodes.length;
+    return nodes.slice(start).concat(nodes.slice(0, start));
+  }
+
+  /**
+   * @function _sendTo
+   * @private
+   * @description Send the request to a node, keeping track of its health.
+   * @param {Object} node - One of `this.nodes`.
+   * @param {string} method - the name of the RPC method
+   * @param {Object|Array} params - Parameters to be passed to the RPC method
+   * @return {Promise}
+   */
+  _sendTo(node, method, params) {
+    const started = Date.now();
+    return node.client
+      .withOptions(this.callOptions)
+      ._send(method, params)
+      .then(
+        res => {
+          this._succeeded(node, Date.now() - started);
+          return res;
+        },
+        err => {
+          if (errors.isTransient(err)) {
+            this._failed(node);
+          } else if (err instanceof errors.RpcError) {
+            // The node answered, it is alive.
+            this._succeeded(node, Date.now() - started);
+          }
+          throw err;
+        }
+      );
+  }
+
+  _succeeded(node, latency) {
+    node.failures = 0;
+    node.latency =
+      node.latency === null
+        ? latency
+        : node.latency * (1 - LATENCY_WEIGHT) + latency * LATENCY_WEIGHT;
+    if (!node.healthy) {
+      node.healthy = true;
+      clearTimeout(node.probe);
+      node.probe = null;
+    }
+  }
+
+  _failed(node) {
+    node.failures++;
+    if (node.healthy && node.failures >= this.maxFailures) {
+      node.healthy = false;
+      this._scheduleProbe(node);
+    }
+  }
+
+  _scheduleProbe(node) {
+    if (this.closed) {
+      return;
+    }
+
+    node.probe = setTimeout(() => {
+      const started = Date.now();
+      node.client
+        .withOptions({ retries: 0 })
+        .block_count()
+        .then(
+          () => this._succeeded(node, Date.now() - started),
+          err => {
+            if (errors.isTransient(err)) {
+              return this._scheduleProbe(node);
+            }
+            this._succeeded(node, Date.now() - started);
+          }
+        );
+    }, this.probeInterval);
+
+    // Probes alone shouldn't keep the process alive.
+    if (typeof node.probe.unref === "function") {
+      node.probe.unref();
+    }
+  }
+}
+
+module.exports = RaiPool;
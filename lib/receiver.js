@@ -0,0 +1,207 @@
+const EventEmitter = require("events");
+const units = require("./units");
+
+/**
+ * How many pending blocks are fetched per account and run.
+ */
+const PENDING_COUNT = 1000;
+
+/**
+ * @function eachLimit
+ * @description Run `fn` on every item, at most `limit` at a time.
+ * @param {Array} items - The items.
+ * @param {Number} limit - How many calls may run at once.
+ * @param {Function} fn - Returns a promise, which must not reject.
+ * @return {Promise} Resolves once every call did.
+ */
+function eachLimit(items, limit, fn) {
+  let next = 0;
+  const worker = () =>
+    next < items.length ? fn(items[next++]).then(worker) : Promise.resolve();
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  return Promise.all(workers);
+}
+
+/**
+ * @class AutoReceiver
+ * @description Receive the pending blocks of every account of a wallet,
+ *              periodically. It emits:
+ *   - "received" `{ account, hash, amount, source, block }`: A pending block
+ *     was received, `block` being the hash of the receiving block.
+ *   - "failed" `{ account, hash, amount, source, error }`: Receiving a
+ *     pending block failed. It is tried again on the next run.
+ *   - "run" `summary`: A run completed, see `run()`.
+ *   - "error": A run failed, or a "received" or "failed" listener threw.
+ *     Running goes on.
+ */
+class AutoReceiver extends EventEmitter {
+  /*
+   * @function constructor
+   * @param {RaiClient} client - The client of the node holding the wallet.
+   * @param {string} wallet - The wallet ID. It must be unlocked.
+   * @param {Object} options - Optional settings:
+   *   - {Number} interval: Milliseconds between runs. Default to 5000.
+   *   - {string} threshold: Smaller pending blocks are left alone, like
+   *     the node `receive_minimum`. Anything `units.raw()` accepts. Default
+   *     to 1 raw.
+   *   - {Number} concurrency: How many `receive` calls may run at once.
+   *     Default to 4.
+   */
+  constructor(client, wallet, options = {}) {
+    super();
+    this.client = client;
+    this.wallet = wallet;
+    this.interval = options.interval || 5000;
+    this.threshold = units.raw(options.threshold || "1");
+    this.concurrency = options.concurrency || 4;
+    this.timer = null;
+    this.running = false;
+    this._running = null;
+  }
+
+  /**
+   * @function start
+   * @description Run, and keep running every `interval`.
+   * @return {Promise} Resolves after the first run.
+   */
+  start() {
+    this.running = true;
+    const loop = () =>
+      this.run()
+        .catch(() => undefined)
+        .then(() => {
+          if (this.running) {
+            this.timer = setTimeout(loop, this.interval);
+          }
+        });
+    return loop();
+  }
+
+  /**
+   * @function stop
+   * @description Stop running. A run in progress still completes.
+   * @return {Promise} Resolves once it did.
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    return Promise.resolve(this._running).catch(() => undefined);
+  }
+
+  /**
+   * @function run
+   * @description Receive the pending blocks of the wallet once. Concurrent
+   *              calls share the same run.
+   * @return {Promise<Object>} Resolves with the summary of the run:
+   *   `{ accounts, pending, received, failed, amount }`, the number of
+   *   accounts checked and of pending blocks found, the "received" and
+   *   "failed" events of the run, and the total amount received in raw.
+   */
+  run() {
+    if (!this._running) {
+      this._running = this._run()
+        .catch(err => {
+          if (this.listenerCount("error") > 0) {
+            this.emit("error", err);
+          }
+          throw err;
+        })
+        .then(
+          summary => {
+            this._running = null;
+            return summary;
+          },
+          err => {
+            this._running = null;
+            throw err;
+          }
+        );
+    }
+    return this._running;
+  }
+
+  async _run() {
+    const { accounts } = await this.client._query("account_list", {
+      wallet: this.wallet
+    });
+    const summary = {
+      accounts: (accounts || []).length,
+      pending: 0,
+      received: [],
+      failed: [],
+      amount: "0"
+    };
+    if (summary.accounts === 0) {
+      this.emit("run", summary);
+      return summary;
+    }
+
+    // A cached list could hold blocks received since, or miss new ones.
+    const { blocks } = await this.client
+      .withOptions({ cache: false })
+      ._query("accounts_pending", {
+        accounts,
+        count: PENDING_COUNT,
+        threshold: this.threshold,
+        source: true
+      });
+    const pending = [];
+    Object.keys(blocks || {}).forEach(account => {
+      // Accounts without pending blocks get an empty string.
+      const entries = blocks[account] || {};
+      Object.keys(entries).forEach(hash => {
+        // Nodes without `source` support only give the amount.
+        const entry =
+          typeof entries[hash] === "string"
+            ? { amount: entries[hash] }
+            : entries[hash];
+        pending.push({
+          account,
+          hash,
+          amount: entry.amount,
+          source: entry.source
+        });
+      });
+    });
+    summary.pending = pending.length;
+
+    let total = 0n;
+    await eachLimit(pending, this.concurrency, item =>
+      this.client
+        ._query("receive", {
+          wallet: this.wallet,
+          account: item.account,
+          block: item.hash
+        })
+        .then(
+          res => {
+            const event = Object.assign({}, item, { block: res.block });
+            summary.received.push(event);
+            total += BigInt(item.amount);
+            this.emit("received", event);
+          },
+          error => {
+            const event = Object.assign({}, item, { error });
+            summary.failed.push(event);
+            this.emit("failed", event);
+          }
+        )
+        // A bad amount or a throwing listener must not stop the worker, nor
+        // the other blocks.
+        .catch(err => {
+          if (this.listenerCount("error") > 0) {
+            this.emit("error", err);
+          }
+        })
+    );
+    summary.amount = total.toString();
+
+    this.emit("run", summary);
+    return summary;
+  }
+}
+
+module.exports = AutoReceiver;
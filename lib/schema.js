@@ -0,0 +1,236 @@
+/**
+ * Parameter schemas of the RPC actions, checked by `RaiClient` before
+ * sending so a malformed argument fails with a `ValidationError` naming it,
+ * instead of a vague node error.
+ *
+ * A schema maps parameter names to a type of `TYPES`, or to `[type]` for a
+ * list of them. Parameters which aren't listed, and undefined or null ones,
+ * aren't checked. Actions which aren't listed aren't checked at all: add
+ * their schema to `SCHEMAS` to get them checked.
+ */
+
+const keys = require("./keys");
+const units = require("./units");
+const errors = require("./errors");
+
+const HEX64 = /^[0-9A-Fa-f]{64}$/;
+const HEX16 = /^[0-9A-Fa-f]{16}$/;
+
+/**
+ * @function isCount
+ * @description Whether a value is a non-negative integer, or its decimal
+ *              string.
+ * @param {*} value - Anything.
+ * @return {boolean}
+ */
+function isCount(value) {
+  return typeof value === "number"
+    ? Number.isSafeInteger(value) && value >= 0
+    : typeof value === "string" && /^\d+$/.test(value);
+}
+
+/**
+ * Parameter types: the name used in error messages, and a check, which
+ * returns false or throws with the reason. Amounts accept anything
+ * `units.raw()` does, they are converted afterwards.
+ */
+const TYPES = {
+  account: ["account", value => keys.isValidAccount(value)],
+  hash: ["block hash", value => HEX64.test(value)],
+  wallet: ["wallet ID", value => HEX64.test(value)],
+  key: ["key", value => HEX64.test(value)],
+  work: ["work", value => typeof value === "boolean" || HEX16.test(value)],
+  count: ["count", isCount],
+  amount: ["amount", value => units.raw(value) !== undefined],
+  flag: [
+    "flag",
+    value => typeof value === "boolean" || value === "true" || value === "false"
+  ],
+  port: ["port", value => isCount(value) && Number(value) <= 65535],
+  block: [
+    "block",
+    value => (typeof value === "string" || typeof value === "object") && !!value
+  ]
+};
+
+/**
+ * The schema of every action taking parameters.
+ */
+const SCHEMAS = {
+  account_balance: { account: "account" },
+  account_block_count: { account: "account" },
+  account_info: {
+    account: "account",
+    representative: "flag",
+    weight: "flag",
+    pending: "flag"
+  },
+  account_create: { wallet: "wallet", work: "flag" },
+  account_get: { key: "key" },
+  account_history: { account: "account", count: "count" },
+  account_list: { wallet: "wallet" },
+  account_move: { wallet: "wallet", source: "wallet", accounts: ["account"] },
+  account_key: { account: "account" },
+  account_remove: { wallet: "wallet", account: "account" },
+  account_representative: { account: "account" },
+  account_representative_set: {
+    wallet: "wallet",
+    account: "account",
+    representative: "account",
+    work: "work"
+  },
+  account_weight: { account: "account" },
+  accounts_balances: { accounts: ["account"] },
+  accounts_create: { wallet: "wallet", count: "count", work: "flag" },
+  accounts_frontiers: { accounts: ["account"] },
+  accounts_pending: {
+    accounts: ["account"],
+    count: "count",
+    threshold: "amount",
+    source: "flag"
+  },
+  block: { hash: "hash" },
+  blocks: { hashes: ["hash"] },
+  blocks_info: { hashes: ["hash"], source: "flag", pending: "flag" },
+  block_account: { hash: "hash" },
+  block_create: {
+    key: "key",
+    account: "account",
+    representative: "account",
+    source: "hash",
+    previous: "hash",
+    destination: "account",
+    balance: "amount",
+    work: "work"
+  },
+  bootstrap: { port: "port" },
+  chain: { block: "hash", count: "count" },
+  delegators: { account: "account" },
+  delegators_count: { account: "account" },
+  deterministic_key: { seed: "key", index: "count" },
+  frontiers: { account: "account", count: "count" },
+  history: { hash: "hash", count: "count" },
+  keepalive: { port: "port" },
+  key_expand: { key: "key" },
+  ledger: {
+    account: "account",
+    count: "count",
+    representative: "flag",
+    weight: "flag",
+    pending: "flag",
+    sorting: "flag"
+  },
+  password_change: { wallet: "wallet" },
+  password_enter: { wallet: "wallet" },
+  password_valid: { wallet: "wallet" },
+  payment_begin: { wallet: "wallet" },
+  payment_end: { account: "account", wallet: "wallet" },
+  payment_init: { wallet: "wallet" },
+  payment_wait: { account: "account", amount: "amount", timeout: "count" },
+  process: { block: "block" },
+  receive: { wallet: "wallet", account: "account", block: "hash" },
+  receive_minimum_set: { amount: "amount" },
+  representatives: { count: "count", sorting: "flag" },
+  republish: {
+    hash: "hash",
+    count: "count",
+    sources: "count",
+    destinations: "count"
+  },
+  search_pending: { wallet: "wallet" },
+  send: {
+    wallet: "wallet",
+    source: "account",
+    destination: "account",
+    amount: "amount",
+    work: "work"
+  },
+  unchecked: { count: "count" },
+  unchecked_get: { hash: "hash" },
+  unchecked_keys: { key: "hash", count: "count" },
+  wallet_add: { wallet: "wallet", key: "key", work: "flag" },
+  wallet_balance_total: { wallet: "wallet" },
+  wallet_balances: { wallet: "wallet", threshold: "amount" },
+  wallet_change_seed: { wallet: "wallet", seed: "key" },
+  wallet_contains: { wallet: "wallet", account: "account" },
+  wallet_destroy: { wallet: "wallet" },
+  wallet_export: { wallet: "wallet" },
+  wallet_frontiers: { wallet: "wallet" },
+  wallet_key_valid: { wallet: "wallet" },
+  wallet_locked: { wallet: "wallet" },
+  wallet_pending: {
+    wallet: "wallet",
+    count: "count",
+    threshold: "amount",
+    source: "flag"
+  },
+  wallet_representative: { wallet: "wallet" },
+  wallet_representative_set: { wallet: "wallet", representative: "account" },
+  wallet_republish: { wallet: "wallet", count: "count" },
+  work_cancel: { hash: "hash" },
+  work_generate: { hash: "hash" },
+  work_get: { wallet: "wallet", account: "account" },
+  work_peer_add: { port: "port" },
+  work_set: { wallet: "wallet", account: "account", work: "work" },
+  work_validate: { work: "work", hash: "hash" }
+};
+
+/**
+ * @function validate
+ * @description Check the parameters of an action against its schema.
+ * @param {string} action - A given RPC action.
+ * @param {Object} params - Parameters to be passed to the RPC daemon.
+ * @throws {ValidationError} When a parameter is malformed.
+ */
+function validate(action, params) {
+  const schema = SCHEMAS[action];
+  if (!schema || !params || typeof params !== "object") {
+    return;
+  }
+
+  Object.keys(schema).forEach(name => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const list = Array.isArray(schema[name]);
+    const [label, check] = TYPES[list ? schema[name][0] : schema[name]];
+    const fail = (shown, cause) => {
+      // Private keys and seeds stay out of the message too.
+      if (errors.sanitize({ [name]: shown }, action)[name] !== shown) {
+        shown = "[redacted]";
+      }
+      const reason = cause ? ` (${cause.message})` : "";
+      throw new errors.ValidationError(
+        `Invalid ${label} for \`${name}\` of ${action}: ${shown}${reason}`,
+        { action, params, argument: name, cause }
+      );
+    };
+    const test = item => {
+      let passed;
+      try {
+        passed = check(item);
+      } catch (e) {
+        fail(item, e);
+      }
+      if (!passed) {
+        fail(item);
+      }
+    };
+
+    if (!list) {
+      test(value);
+    } else if (!Array.isArray(value)) {
+      fail("not a list");
+    } else {
+      value.forEach(test);
+    }
+  });
+}
+
+module.exports = {
+  TYPES,
+  SCHEMAS,
+  validate
+};
@@ -0,0 +1,125 @@
+/**
+ * Transports carry the JSON requests of `RaiClient` to a node. Anything with
+ * this method can be passed as the `transport` option:
+ *   - request(body, { signal }): Send the JSON body, resolving with the
+ *     response `{ statusCode, body }`, the status being HTTP-like. It rejects
+ *     when the node couldn't be reached, and gives up when the AbortSignal
+ *     fires, on timeouts.
+ * and optionally `close()`, to release its connections.
+ *
+ * This module holds what the Node and browser builds share.
+ */
+
+/**
+ * @function base64
+ * @description Encode a string as UTF-8 base64, with or without `Buffer`.
+ * @param {string} text - Any string.
+ * @return {string}
+ */
+function base64(text) {
+  if (typeof Buffer !== "undefined") {
+    return Buffer.from(text).toString("base64");
+  }
+  const bytes = new TextEncoder().encode(text);
+  return btoa(String.fromCharCode.apply(null, bytes));
+}
+
+/**
+ * @function basic
+ * @description A basic authentication header value.
+ * @param {string} username - The user.
+ * @param {string} password - The password.
+ * @return {string}
+ */
+function basic(username, password) {
+  return "Basic " + base64(username + ":" + password);
+}
+
+/**
+ * @function authorization
+ * @description The Authorization header of the node requests, if any: from
+ *              the `auth` transport option, or the credentials of the node
+ *              URL.
+ * @param {URL} url - The node URL.
+ * @param {Object} auth - `{ username, password }` or `{ bearer }`.
+ * @return {string|undefined}
+ */
+function authorization(url, auth) {
+  if (auth && auth.bearer) {
+    return "Bearer " + auth.bearer;
+  }
+  if (auth && auth.username !== undefined) {
+    return basic(auth.username, auth.password || "");
+  }
+  if (url.username) {
+    return basic(
+      decodeURIComponent(url.username),
+      decodeURIComponent(url.password)
+    );
+  }
+  return undefined;
+}
+
+/**
+ * @class MemoryTransport
+ * @description Requests handled in the same process, without any network:
+ *              for tests, or to wrap a node implementation.
+ *              Example: `new MemoryTransport(request => mockNode.handle(request))`
+ */
+class MemoryTransport {
+  /*
+   * @function constructor
+   * @param {Function} handler - `(request) => response`, given the parsed
+   *                             request `{ action, ...params }`, returning the
+   *                             response object or a promise of it. Throwing
+   *                             answers a 500 status.
+   */
+  constructor(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * @function request
+   * @description Send a request, see the transport interface.
+   * @param {string} body - The JSON request.
+   * @param {Object} options - `{ signal }`, an optional AbortSignal.
+   * @return {Promise<Object>} `{ statusCode, body }`
+   */
+  request(body, options = {}) {
+    const signal = options.signal;
+    const aborted = new Promise((resolve, reject) => {
+      if (signal) {
+        signal.addEventListener("abort", () => reject(signal.reason), {
+          once: true
+        });
+      }
+    });
+    const handled = Promise.resolve()
+      .then(() => this.handler(JSON.parse(body)))
+      .then(
+        response => ({ statusCode: 200, body: JSON.stringify(response) }),
+        err => ({
+          statusCode: 500,
+          body: JSON.stringify({ error: err.message })
+        })
+      );
+    return Promise.race([handled, aborted]);
+  }
+}
+
+/**
+ * @function isTransport
+ * @description Whether a value implements the transport interface.
+ * @param {*} value - Anything.
+ * @return {boolean}
+ */
+function isTransport(value) {
+  return !!value && typeof value.request === "function";
+}
+
+module.exports = {
+  MemoryTransport,
+  isTransport,
+  authorization,
+  basic
+};
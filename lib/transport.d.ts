@@ -0,0 +1,95 @@
+/**
+ * Transports of `RaiClient`, see `./transport.js`.
+ */
+
+export interface TransportOptions {
+  ca?: string | Uint8Array | Array<string | Uint8Array>;
+  cert?: string | Uint8Array;
+  key?: string | Uint8Array;
+  pfx?: string | Uint8Array;
+  passphrase?: string;
+  servername?: string;
+  rejectUnauthorized?: boolean;
+  auth?: { username: string; password?: string } | { bearer: string };
+  headers?: { [name: string]: string };
+  /** An "http://", "https://" or "socks5://" proxy URL. */
+  proxy?: string;
+  keepAlive?: boolean;
+  maxSockets?: number;
+}
+
+/** An `AbortSignal`, fired on timeouts. */
+export interface AbortSignalLike {
+  readonly aborted: boolean;
+  readonly reason?: unknown;
+  addEventListener(
+    type: "abort",
+    listener: () => void,
+    options?: { once?: boolean }
+  ): void;
+}
+
+export interface TransportResponse {
+  statusCode: number;
+  body: string;
+}
+
+export interface Transport {
+  request(
+    body: string,
+    options: { signal?: AbortSignalLike }
+  ): Promise<TransportResponse>;
+  close?(): void;
+}
+
+export class HttpTransport implements Transport {
+  constructor(address: string, options?: TransportOptions);
+  request(
+    body: string,
+    options?: { signal?: AbortSignalLike }
+  ): Promise<TransportResponse>;
+  close(): void;
+}
+
+export class IpcTransport extends HttpTransport {
+  constructor(path: string, options?: TransportOptions);
+  path: string;
+}
+
+export class MemoryTransport implements Transport {
+  constructor(
+    handler: (request: { action: string }) => object | Promise<object>
+  );
+  request(
+    body: string,
+    options?: { signal?: AbortSignalLike }
+  ): Promise<TransportResponse>;
+}
+
+export class FetchTransport implements Transport {
+  constructor(
+    address: string,
+    options?: {
+      auth?: TransportOptions["auth"];
+      headers?: { [name: string]: string };
+      init?: object;
+      fetch?: (
+        url: string,
+        init: object
+      ) => Promise<{
+        status: number;
+        text(): Promise<string>;
+      }>;
+    }
+  );
+  request(
+    body: string,
+    options?: { signal?: AbortSignalLike }
+  ): Promise<TransportResponse>;
+}
+
+export function isTransport(value: unknown): value is Transport;
+export function createTransport(
+  address: string,
+  options?: TransportOptions
+): Transport;
@@ -0,0 +1,158 @@
+/**
+ * The transports of Node: HTTP(S) and Unix domain sockets, besides the
+ * in-memory and fetch ones every build has. See `./transport-common` for
+ * the transport interface. Browser builds get `./browser` instead.
+ */
+
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+const { createAgent } = require("./agent");
+const {
+  MemoryTransport,
+  isTransport,
+  authorization
+} = require("./transport-common");
+const { FetchTransport } = require("./fetch");
+
+/**
+ * @class HttpTransport
+ * @description Requests over HTTP or HTTPS, according to the node URL.
+ */
+class HttpTransport {
+  /*
+   * @function constructor
+   * @param {string} address - The node URL, like "http://127.0.0.1:7076".
+   * @param {Object} options - The TLS, auth, headers, proxy and keep-alive
+   *                           settings, see the `transport` option of
+   *                           `RaiClient`.
+   */
+  constructor(address, options = {}) {
+    this.address = address;
+    this.options = options;
+    this.url = null;
+    this.agent = null;
+  }
+
+  /**
+   * @function request
+   * @description Send a request, see the transport interface.
+   * @param {string} body - The JSON request.
+   * @param {Object} options - `{ signal }`, an optional AbortSignal.
+   * @return {Promise<Object>} `{ statusCode, body }`
+   */
+  request(body, options = {}) {
+    return new Promise((resolve, reject) => {
+      const lib = this._connect().protocol === "https:" ? https : http;
+      const request = lib.request(this._requestOptions(), response => {
+        const chunks = [];
+        response.on("data", chunk => chunks.push(chunk));
+        response.on("error", reject);
+        response.on("end", () =>
+          resolve({
+            statusCode: response.statusCode,
+            body: Buffer.concat(chunks).toString()
+          })
+        );
+      });
+      request.on("error", reject);
+
+      const signal = options.signal;
+      if (signal) {
+        if (signal.aborted) {
+          request.destroy(signal.reason);
+        }
+        signal.addEventListener("abort", () => request.destroy(signal.reason), {
+          once: true
+        });
+      }
+      request.end(body);
+    });
+  }
+
+  /**
+   * @function close
+   * @description Close the kept-alive connections.
+   */
+  close() {
+    if (this.agent) {
+      this.agent.destroy();
+    }
+  }
+
+  // The URL is parsed on the first request, so a malformed one rejects it.
+  _connect() {
+    if (!this.url) {
+      const url = new URL(this.address + "/");
+      this.agent = createAgent(url.protocol, this.options);
+      this.headers = Object.assign(
+        { "content-type": "application/json" },
+        this.options.headers
+      );
+      const auth = authorization(url, this.options.auth);
+      if (auth) {
+        this.headers.authorization = auth;
+      }
+      this.url = url;
+    }
+    return this.url;
+  }
+
+  _requestOptions() {
+    return {
+      hostname: this.url.hostname,
+      port: this.url.port,
+      method: "POST",
+      path: this.url.pathname,
+      headers: this.headers,
+      agent: this.agent
+    };
+  }
+}
+
+/**
+ * @class IpcTransport
+ * @description HTTP requests over a Unix domain socket, or a Windows named
+ *              pipe, to talk to a node on the same machine without opening a
+ *              TCP port.
+ */
+class IpcTransport extends HttpTransport {
+  /*
+   * @function constructor
+   * @param {string} path - The socket path, like "/var/run/rai/rpc.sock".
+   * @param {Object} options - The auth, headers and keep-alive settings.
+   */
+  constructor(path, options = {}) {
+    super("http://localhost", Object.assign({}, options, { proxy: null }));
+    this.path = path;
+  }
+
+  _requestOptions() {
+    return Object.assign(super._requestOptions(), { socketPath: this.path });
+  }
+}
+
+/**
+ * @function createTransport
+ * @description Build the transport of a node address: an `IpcTransport` for
+ *              "unix:" addresses, like "unix:/var/run/rai/rpc.sock", an
+ *              `HttpTransport` otherwise.
+ * @param {string} address - The node address.
+ * @param {Object} options - The transport settings.
+ * @return {Object} A transport.
+ */
+function createTransport(address, options = {}) {
+  if (/^unix:/.test(address)) {
+    return new IpcTransport(address.replace(/^unix:(\/\/)?/, ""), options);
+  }
+  return new HttpTransport(address, options);
+}
+
+module.exports = {
+  HttpTransport,
+  IpcTransport,
+  MemoryTransport,
+  FetchTransport,
+  isTransport,
+  createTransport
+};
@@ -0,0 +1,162 @@
+/**
+ * Exact conversions between RaiBlocks units, done with BigInt so that no
+ * precision is lost and no node is needed.
+ *
+ * Amounts are passed around as decimal strings. Raw amounts can also be
+ * given as BigInt or as integer Numbers small enough to be exact.
+ */
+
+/**
+ * Number of decimals of each unit, relative to raw.
+ */
+const UNITS = {
+  raw: 0,
+  rai: 24,
+  krai: 27,
+  Mrai: 30,
+  XRB: 30
+};
+
+const UNIT_NAMES = {};
+Object.keys(UNITS).forEach(unit => {
+  UNIT_NAMES[unit.toLowerCase()] = unit;
+});
+
+const DECIMAL_REGEX = /^(\d+)(?:\.(\d+))?$/;
+const AMOUNT_REGEX = /^(\d+(?:\.\d+)?)\s*([a-zA-Z]+)$/;
+
+/**
+ * @function decimals
+ * @param {string} unit - A unit name, case insensitive.
+ * @return {Number} The number of decimals of unit.
+ */
+function decimals(unit) {
+  const name = UNIT_NAMES[String(unit).toLowerCase()];
+  if (name === undefined) {
+    throw new Error("Unknown unit: " + unit);
+  }
+  return UNITS[name];
+}
+
+/**
+ * @function toRaw
+ * @description Convert an amount expressed in unit to raw.
+ * @param {string|BigInt|Number} amount - A decimal amount, like "1.5".
+ * @param {string} unit - The unit of amount. (defaults to "raw")
+ * @return {string} The raw amount.
+ */
+function toRaw(amount, unit = "raw") {
+  const scale = decimals(unit);
+  const match = DECIMAL_REGEX.exec(toDecimalString(amount));
+  if (!match) {
+    throw new Error("Invalid amount: " + amount);
+  }
+
+  const integer = match[1];
+  const fraction = (match[2] || "").replace(/0+$/, "");
+  if (fraction.length > scale) {
+    throw new Error("Amount " + amount + " is more precise than 1 raw");
+  }
+
+  return (
+    BigInt(integer) * 10n ** BigInt(scale) +
+    BigInt(fraction.padEnd(scale, "0") || "0")
+  ).toString();
+}
+
+/**
+ * @function fromRaw
+ * @description Convert a raw amount to unit, exactly.
+ * @param {string|BigInt|Number} raw - A raw amount.
+ * @param {string} unit - The target unit. (defaults to "Mrai")
+ * @return {string} The decimal amount, without trailing zeros.
+ */
+function fromRaw(raw, unit = "Mrai") {
+  return format(raw, unit);
+}
+
+/**
+ * @function convert
+ * @description Convert an amount between any two units.
+ * @param {string|BigInt|Number} amount - A decimal amount.
+ * @param {string} from - The unit of amount.
+ * @param {string} to - The target unit.
+ * @return {string}
+ */
+function convert(amount, from, to) {
+  return fromRaw(toRaw(amount, from), to);
+}
+
+/**
+ * @function format
+ * @description Format a raw amount as a decimal string in unit.
+ * @param {string|BigInt|Number} raw - A raw amount.
+ * @param {string} unit - The target unit. (defaults to "Mrai")
+ * @param {Object} options - Optional settings:
+ *   - {Number} decimals: Max number of decimals, the rest is truncated.
+ *   - {boolean} unit: Append the unit name, like "1.5 Mrai".
+ * @return {string}
+ */
+function format(raw, unit = "Mrai", options = {}) {
+  const value = BigInt(toRaw(raw));
+  const scale = decimals(unit);
+  const divisor = 10n ** BigInt(scale);
+
+  let fraction = (value % divisor).toString().padStart(scale, "0");
+  if (options.decimals !== undefined) {
+    fraction = fraction.slice(0, options.decimals);
+  }
+  fraction = fraction.replace(/0+$/, "");
+
+  const integer = (value / divisor).toString();
+  const result = fraction ? integer + "." + fraction : integer;
+  return options.unit ? result + " " + UNIT_NAMES[unit.toLowerCase()] : result;
+}
+
+/**
+ * @function raw
+ * @description Turn any supported amount into a raw decimal string, the
+ *              format expected by the node.
+ * @param {string|BigInt|Number} amount - A raw amount, or an amount with its
+ *                                        unit like "1.5 Mrai" or "20krai".
+ * @return {string}
+ */
+function raw(amount) {
+  if (typeof amount === "string") {
+    const match = AMOUNT_REGEX.exec(amount.trim());
+    if (match) {
+      return toRaw(match[1], match[2]);
+    }
+  }
+  return toRaw(amount);
+}
+
+function toDecimalString(amount) {
+  if (typeof amount === "bigint") {
+    if (amount < 0n) {
+      throw new Error("Invalid amount: " + amount);
+    }
+    return amount.toString();
+  }
+
+  if (typeof amount === "number") {
+    if (!Number.isSafeInteger(amount) || amount < 0) {
+      throw new RangeError(
+        "Amount " + amount + " can't be represented exactly, use a string"
+      );
+    }
+    return amount.toString();
+  }
+
+  return String(amount).trim();
+}
+
+module.exports = {
+  UNITS,
+  decimals,
+  toRaw,
+  fromRaw,
+  convert,
+  format,
+  raw
+};
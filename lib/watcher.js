@@ -0,0 +1,340 @@
+const fs = require("fs");
+const EventEmitter = require("events");
+
+/**
+ * How many pending blocks are fetched per account and poll.
+ */
+const PENDING_COUNT = 1000;
+
+/**
+ * @function fileStore
+ * @description A cursor store keeping the watcher state in a JSON file.
+ * @param {string} path - The file path.
+ * @return {Object} A store, with `load()` and `save(state)` methods.
+ */
+function fileStore(path) {
+  return {
+    load: () =>
+      new Promise((resolve, reject) => {
+        fs.readFile(path, "utf8", (err, data) => {
+          if (err) {
+            return err.code === "ENOENT" ? resolve(null) : reject(err);
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(e);
+          }
+        });
+      }),
+    save: state =>
+      new Promise((resolve, reject) => {
+        // Write then rename, so a crash never leaves half a cursor.
+        const tmp = path + ".tmp";
+        fs.writeFile(tmp, JSON.stringify(state), err => {
+          if (err) {
+            return reject(err);
+          }
+          fs.rename(tmp, path, err => (err ? reject(err) : resolve()));
+        });
+      })
+  };
+}
+
+/**
+ * @class RaiWatcher
+ * @description Watch accounts by polling `accounts_frontiers` and
+ *              `accounts_pending`, and emit an event for each new block:
+ *   - "pending" `{ account, hash, amount, source, block }`: A send to a
+ *     watched account, not received yet.
+ *   - "received" `{ account, hash, amount, source, block }`
+ *   - "sent" `{ account, hash, amount, destination, block }`
+ *   - "representativeChanged" `{ account, hash, representative, previous, block }`
+ *   - "error": A poll failed. Polling goes on.
+ *
+ *   `block` is the decoded block contents. Events of an account come in
+ *   chain order. The cursor (frontiers, pending hashes and representatives
+ *   already seen) is saved to the store after each poll, so a restarted
+ *   watcher only emits what happened since. A crash between an event and
+ *   the save may emit it again, never skip it.
+ */
+class RaiWatcher extends EventEmitter {
+  /*
+   * @function constructor
+   * @param {RaiClient} client - The client to poll with.
+   * @param {Array<string>} accounts - The XRB accounts to watch.
+   * @param {Object} options - Optional settings:
+   *   - {Number} interval: Milliseconds between polls. Default to 5000.
+   *   - {string} threshold: Minimum amount of the pending blocks, anything
+   *     `units.raw()` accepts. Default to 1 raw.
+   *   - {Object} store: Where the cursor is kept, an object with `load()` and
+   *     `save(state)` methods returning promises, like `fileStore(path)`.
+   *     Default to memory only.
+   */
+  constructor(client, accounts = [], options = {}) {
+    super();
+    this.client = client;
+    this.accounts = new Set(accounts);
+    this.interval = options.interval || 5000;
+    this.threshold = options.threshold || "1";
+    this.store = options.store || null;
+    this.state = null;
+    this.timer = null;
+    this.running = false;
+    this._polling = null;
+  }
+
+  /**
+   * @function watch
+   * @param {string} account - An XRB account to start watching.
+   */
+  watch(account) {
+    this.accounts.add(account);
+  }
+
+  /**
+   * @function unwatch
+   * @param {string} account - An XRB account to stop watching.
+   */
+  unwatch(account) {
+    this.accounts.delete(account);
+    if (this.state) {
+      delete this.state.accounts[account];
+    }
+  }
+
+  /**
+   * @function start
+   * @description Load the cursor, poll, and keep polling every `interval`.
+   * @return {Promise} Resolves after the first poll.
+   */
+  start() {
+    this.running = true;
+    const loop = () =>
+      this.poll()
+        .catch(() => undefined)
+        .then(() => {
+          if (this.running) {
+            this.timer = setTimeout(loop, this.interval);
+          }
+        });
+    return loop();
+  }
+
+  /**
+   * @function stop
+   * @description Stop polling. A poll in progress still completes.
+   * @return {Promise} Resolves once it did.
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    return Promise.resolve(this._polling).catch(() => undefined);
+  }
+
+  /**
+   * @function poll
+   * @description Check the watched accounts once and emit their new events.
+   *              Concurrent calls share the same poll.
+   * @return {Promise}
+   */
+  poll() {
+    if (!this._polling) {
+      this._polling = this._poll()
+        .catch(err => {
+          if (this.listenerCount("error") > 0) {
+            this.emit("error", err);
+          }
+          throw err;
+        })
+        .then(
+          () => {
+            this._polling = null;
+          },
+          err => {
+            this._polling = null;
+            throw err;
+          }
+        );
+    }
+    return this._polling;
+  }
+
+  async _poll() {
+    if (!this.state) {
+      const loaded = this.store ? await this.store.load() : null;
+      this.state = loaded && loaded.accounts ? loaded : { accounts: {} };
+    }
+
+    const accounts = Array.from(this.accounts);
+    if (accounts.length === 0) {
+      return;
+    }
+
+    // Polls skip the response cache: its entries may be as old as the last
+    // poll, and their changes would be seen late, or not at all.
+    const fresh = this.client.withOptions({ cache: false });
+    const [frontiers, pending] = await Promise.all([
+      fresh._query("accounts_frontiers", { accounts }),
+      fresh._query("accounts_pending", {
+        accounts,
+        count: PENDING_COUNT,
+        threshold: this.threshold,
+        source: true
+      })
+    ]);
+
+    // The cursors are only updated once every event is ready, so that a
+    // failed poll is entirely retried by the next one.
+    const events = [];
+    const cursors = {};
+    for (const account of accounts) {
+      const frontier = (frontiers.frontiers || {})[account] || null;
+      const blocks = (pending.blocks || {})[account] || {};
+      const known = this.state.accounts[account];
+      let cursor;
+      if (!known) {
+        // First sight: the past is not news, but pending blocks are.
+        cursor = await this._baseline(fresh, account, frontier);
+      } else {
+        cursor = Object.assign({}, known);
+        if (frontier && frontier !== cursor.frontier) {
+          await this._chainEvents(account, cursor, frontier, events);
+        }
+      }
+      this._pendingEvents(account, cursor, blocks, events);
+      cursors[account] = cursor;
+    }
+    await this._decode(events);
+
+    Object.assign(this.state.accounts, cursors);
+    events.forEach(([name, event]) => this.emit(name, event));
+    if (this.store) {
+      await this.store.save(this.state);
+    }
+  }
+
+  async _baseline(client, account, frontier) {
+    let representative = null;
+    if (frontier) {
+      const info = await client._query("account_info", {
+        account,
+        representative: true
+      });
+      representative = info.representative;
+    }
+    return { frontier, representative, pending: [] };
+  }
+
+  /**
+   * Walk the chain back from the new frontier to the known one, and turn
+   * each new block into events, oldest first.
+   */
+  async _chainEvents(account, cursor, frontier, events) {
+    const hashes = [];
+    for await (const hash of this.client.iterateChain(frontier)) {
+      if (hash === cursor.frontier) {
+        break;
+      }
+      hashes.push(hash);
+    }
+
+    const [history, info] = await Promise.all([
+      this.client._query("history", { hash: frontier, count: hashes.length }),
+      this.client._query("blocks_info", { hashes })
+    ]);
+    const entries = {};
+    (history.history || []).forEach(entry => {
+      entries[entry.hash] = entry;
+    });
+
+    hashes.reverse().forEach(hash => {
+      const block = parseContents(info.blocks[hash].contents);
+      const entry = entries[hash];
+      if (entry && entry.type === "send") {
+        events.push([
+          "sent",
+          {
+            account,
+            hash,
+            amount: entry.amount,
+            destination: entry.account,
+            block
+          }
+        ]);
+      } else if (entry && entry.type === "receive") {
+        events.push([
+          "received",
+          { account, hash, amount: entry.amount, source: entry.account, block }
+        ]);
+      }
+
+      if (
+        block.representative &&
+        block.representative !== cursor.representative
+      ) {
+        // Opening an account sets its representative, it doesn't change it.
+        if (cursor.representative !== null) {
+          events.push([
+            "representativeChanged",
+            {
+              account,
+              hash,
+              representative: block.representative,
+              previous: cursor.representative,
+              block
+            }
+          ]);
+        }
+        cursor.representative = block.representative;
+      }
+    });
+    cursor.frontier = frontier;
+  }
+
+  _pendingEvents(account, cursor, blocks, events) {
+    const seen = new Set(cursor.pending);
+    Object.keys(blocks).forEach(hash => {
+      if (!seen.has(hash)) {
+        // Nodes without `source` support only give the amount.
+        const entry =
+          typeof blocks[hash] === "string"
+            ? { amount: blocks[hash] }
+            : blocks[hash];
+        events.push([
+          "pending",
+          { account, hash, amount: entry.amount, source: entry.source }
+        ]);
+      }
+    });
+    // Received or not, blocks gone from the pending list are forgotten.
+    cursor.pending = Object.keys(blocks);
+  }
+
+  /**
+   * Attach the block contents to the pending events.
+   */
+  async _decode(events) {
+    const hashes = events
+      .filter(([name]) => name === "pending")
+      .map(([, event]) => event.hash);
+    if (hashes.length === 0) {
+      return;
+    }
+
+    const info = await this.client._query("blocks_info", { hashes });
+    events.forEach(([name, event]) => {
+      if (name === "pending") {
+        event.block = parseContents(info.blocks[event.hash].contents);
+      }
+    });
+  }
+}
+
+function parseContents(contents) {
+  return typeof contents === "string" ? JSON.parse(contents) : contents;
+}
+
+RaiWatcher.fileStore = fileStore;
+
+module.exports = RaiWatcher;
@@ -0,0 +1,152 @@
+const { blake2b } = require("blakejs");
+const nacl = require("tweetnacl-blake2b");
+const { fromHex, toHex, concat } = require("./bytes");
+
+/**
+ * Minimum work value accepted by the live network.
+ */
+const THRESHOLD = "ffffffc000000000";
+
+/**
+ * How many nonces the local generator tries before yielding to the event loop.
+ */
+const BATCH_SIZE = 10000;
+
+const HEX64_REGEX = /^[0-9A-Fa-f]{64}$/;
+const WORK_REGEX = /^[0-9A-Fa-f]{16}$/;
+
+/**
+ * @function workValue
+ * @description Compute the value of a work nonce for a block root, as
+ *              compared against the threshold.
+ * @param {string} root - The block root: the previous block hash, or the
+ *                        account public key for open blocks.
+ * @param {string} work - The 16 hex characters work nonce.
+ * @return {string} The work value, as 16 hex characters.
+ */
+function workValue(root, work) {
+  if (!HEX64_REGEX.test(root)) {
+    throw new Error("Invalid block root: " + root);
+  }
+  if (!WORK_REGEX.test(work)) {
+    throw new Error("Invalid work: " + work);
+  }
+
+  // The node hashes the nonce as a little-endian uint64.
+  const nonce = fromHex(work).reverse();
+  const input = concat([nonce, fromHex(root)]);
+  return toHex(blake2b(input, null, 8).reverse()).toLowerCase();
+}
+
+/**
+ * @function validateWork
+ * @description Check a work nonce against a block root, without the node.
+ * @param {string} root - The block root.
+ * @param {string} work - The work nonce.
+ * @param {string} threshold - Minimum work value. Defaults to the live network one.
+ * @return {boolean}
+ */
+function validateWork(root, work, threshold = THRESHOLD) {
+  return BigInt("0x" + workValue(root, work)) >= BigInt("0x" + threshold);
+}
+
+/**
+ * @function generateWork
+ * @description Find a valid work nonce for a block root on the local CPU.
+ *              The search runs in batches so it doesn't block the event loop.
+ * @param {string} root - The block root.
+ * @param {Object} options - Optional settings:
+ *   - {string} threshold: Minimum work value. Defaults to the live network one.
+ * @return {Promise<string>} Resolves with the work nonce.
+ */
+function generateWork(root, options = {}) {
+  const threshold = BigInt("0x" + (options.threshold || THRESHOLD));
+
+  return new Promise((resolve, reject) => {
+    if (!HEX64_REGEX.test(root)) {
+      return reject(new Error("Invalid block root: " + root));
+    }
+
+    const input = new Uint8Array(40);
+    input.set(nacl.randomBytes(8));
+    input.set(fromHex(root), 8);
+
+    const run = () => {
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const output = blake2b(input, null, 8);
+        if (new DataView(output.buffer).getBigUint64(0, true) >= threshold) {
+          return resolve(toHex(input.slice(0, 8).reverse()).toLowerCase());
+        }
+
+        // Increment the little-endian nonce.
+        for (let byte = 0; byte < 8 && ++input[byte] === 256; byte++) {
+          input[byte] = 0;
+        }
+      }
+      // Browsers have no setImmediate().
+      if (typeof setImmediate === "function") {
+        setImmediate(run);
+      } else {
+        setTimeout(run, 0);
+      }
+    };
+    run();
+  });
+}
+
+/**
+ * @function createWorkProvider
+ * @description Build a work provider, an object with a `generate(root)`
+ *              method resolving with a work nonce.
+ * @param {string|Function|Object} option - One of:
+ *   - "local": generate on the local CPU.
+ *   - { local: true, threshold }: same, with a custom threshold.
+ *   - A work server URL, speaking the node `work_generate` RPC action.
+ *   - A function `(root) => work`, returning the work or a promise of it.
+ *   - An object which already has a `generate` method.
+ * @param {Function} createClient - Builds a `RaiClient` for a work server URL.
+ * @return {Object|null} The provider, or null when `option` is empty.
+ */
+function createWorkProvider(option, createClient) {
+  if (!option) {
+    return null;
+  }
+
+  if (typeof option.generate === "function") {
+    return option;
+  }
+
+  if (typeof option === "function") {
+    return { generate: root => Promise.resolve().then(() => option(root)) };
+  }
+
+  if (option === "local" || option.local === true) {
+    const options = option === "local" ? {} : option;
+    return { generate: root => generateWork(root, options) };
+  }
+
+  if (typeof option === "string") {
+    const server = createClient(option);
+    return {
+      generate: root =>
+        server.work_generate(root).then(res => {
+          if (!res || res.error || !res.work) {
+            throw new Error(
+              "Work server failed: " + (res && res.error ? res.error : res)
+            );
+          }
+          return res.work;
+        })
+    };
+  }
+
+  throw new Error("Invalid work provider");
+}
+
+module.exports = {
+  THRESHOLD,
+  workValue,
+  validateWork,
+  generateWork,
+  createWorkProvider
+};